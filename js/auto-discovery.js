@@ -1,7 +1,10 @@
 // js/auto-discovery.js
 class AutoDiscovery {
-    constructor(configPath = '/config/categories.json') {
+    constructor(configPath = '/config/categories.json', options = {}) {
+        this.storage = options.storage || MetabolicStorage.shared();
         this.basePath = '/metabolic-base/modules/';
+        this.siteRoot = this.basePath.replace(/modules\/$/, '');
+        this.manifestPath = this.siteRoot + 'modules.json';
         this.configPath = configPath;
 
         this.categories = {};
@@ -13,30 +16,84 @@ class AutoDiscovery {
             modules: {}
         };
 
-        this.loadRegistry();
+        // Gewichtung der Metadaten-Felder für searchModules()
+        this.searchWeights = {
+            title: 10,
+            keywords: 7,
+            subtitle: 5,
+            textContent: 1
+        };
+
+        // Erst nach ready ist die gespeicherte Registry geladen
+        this.ready = this.loadRegistry();
     }
 
-    /** Lade Registry aus localStorage */
-    loadRegistry() {
-        const saved = localStorage.getItem('moduleRegistry');
-        if (saved) {
-            try {
-                this.registry = { ...this.registry, ...JSON.parse(saved) };
+    /** Lade Registry aus IndexedDB (einmalig aus altem localStorage übernommen) */
+    async loadRegistry() {
+        try {
+            await this.storage.migrateLegacyItem('moduleRegistry', legacy => {
+                this.applyStoredRegistry(legacy, Object.values(legacy.modules || {}));
+                return this.persistRegistry();
+            });
+
+            const [meta, modules] = await Promise.all([
+                this.storage.get('meta', 'registry'),
+                this.storage.getAll('modules')
+            ]);
+
+            if (meta) {
+                this.applyStoredRegistry(meta, modules);
                 console.log('📋 Registry geladen:', this.registry.totalModules, 'Module');
-            } catch (error) {
-                console.warn('⚠️ Registry konnte nicht geladen werden:', error);
             }
+        } catch (error) {
+            console.warn('⚠️ Registry konnte nicht geladen werden:', error);
         }
+        return this.registry;
     }
 
-    /** Speichere Registry in localStorage */
-    saveRegistry() {
+    /** Baut die Registry aus Metadaten und Modul-Datensätzen auf */
+    applyStoredRegistry(meta, modules) {
+        this.registry = {
+            ...this.registry,
+            version: meta.version || this.registry.version,
+            lastUpdate: meta.lastUpdate || null,
+            categories: {},
+            modules: {}
+        };
+
+        (meta.categoryKeys || Object.keys(meta.categories || {})).forEach(categoryKey => {
+            this.registry.categories[categoryKey] = [];
+        });
+        modules.forEach(module => this.updateRegistry(module));
+        this.registry.totalModules = Object.keys(this.registry.modules).length;
+    }
+
+    /** Speichere Registry */
+    async saveRegistry() {
         this.registry.lastUpdate = new Date().toISOString();
-        localStorage.setItem('moduleRegistry', JSON.stringify(this.registry));
         localStorage.setItem('lastSync', Date.now().toString());
+        await this.persistRegistry();
         console.log('💾 Registry gespeichert:', this.registry.totalModules, 'Module');
     }
 
+    /** Schreibt geänderte Module und die Registry-Metadaten nach IndexedDB (true, wenn gespeichert) */
+    async persistRegistry() {
+        try {
+            const result = await this.storage.writeRecords('modules', Object.values(this.registry.modules), {
+                registry: {
+                    version: this.registry.version,
+                    lastUpdate: this.registry.lastUpdate,
+                    totalModules: this.registry.totalModules,
+                    categoryKeys: Object.keys(this.registry.categories)
+                }
+            });
+            return Boolean(result);
+        } catch (error) {
+            console.warn('⚠️ Registry konnte nicht gespeichert werden:', error);
+            return false;
+        }
+    }
+
     /** Lade Kategorien-Config aus externer JSON-Datei oder Fallback */
     async loadCategoriesConfig() {
         try {
@@ -63,28 +120,79 @@ class AutoDiscovery {
         }
     }
 
+    /** Lade das Modul-Manifest (scripts/build-module-manifest.js), null falls nicht vorhanden */
+    async loadManifest() {
+        try {
+            const res = await fetch(this.manifestPath, { cache: 'no-cache' });
+            if (!res.ok) throw new Error(`Manifest-HTTP-Fehler: ${res.status}`);
+            const manifest = await res.json();
+            if (!Array.isArray(manifest.modules)) throw new Error('Manifest ohne Modulliste');
+            return manifest;
+        } catch (e) {
+            console.warn('⚠️ Kein Modul-Manifest gefunden, nutze Dateinamen-Suche:', e);
+            return null;
+        }
+    }
+
     /** Hauptfunktion: Scanne alle Kategorien */
     async scanForModules() {
         console.log('🔍 Starte Auto-Discovery...');
-        await this.loadCategoriesConfig();
+        await this.ready;
+        const [manifest] = await Promise.all([this.loadManifest(), this.loadCategoriesConfig()]);
+
+        // Bisherige Module merken, damit unveränderte ihr lastModified behalten
+        this.previousModules = this.registry.modules;
 
         // Registry zurücksetzen
         this.registry.categories = {};
         this.registry.modules = {};
         this.registry.totalModules = 0;
 
-        // Alle Kategorien parallel scannen
-        await Promise.all(
-            Object.entries(this.categories).map(([folderName, categoryKey]) =>
-                this.scanCategory(folderName, categoryKey)
-            )
-        );
+        if (manifest) {
+            this.loadFromManifest(manifest);
+        } else {
+            // Alle Kategorien parallel scannen
+            await Promise.all(
+                Object.entries(this.categories).map(([folderName, categoryKey]) =>
+                    this.scanCategory(folderName, categoryKey)
+                )
+            );
+        }
 
-        this.saveRegistry();
+        await this.saveRegistry();
         console.log(`✅ Auto-Discovery abgeschlossen: ${this.registry.totalModules} Module gefunden`);
         return this.registry;
     }
 
+    /** Übernimmt alle Module aus dem Manifest, ohne eine einzige Datei zu raten */
+    loadFromManifest(manifest) {
+        const categories = { ...manifest.categories, ...this.categories };
+        Object.values(categories).forEach(categoryKey => {
+            this.registry.categories[categoryKey] = [];
+        });
+
+        manifest.modules.forEach(entry => {
+            const categoryKey = categories[entry.folder] || entry.category;
+            const filePath = this.siteRoot + entry.path;
+
+            const id = this.generateModuleId(filePath);
+            this.updateRegistry({
+                id,
+                title: entry.title || this.beautifyFileName(filePath.split('/').pop().replace('.html', '')),
+                subtitle: entry.description || 'Lernmodul',
+                path: filePath,
+                category: categoryKey,
+                keywords: entry.keywords || [],
+                textContent: entry.excerpt || '',
+                lastModified: this.getLastModified(id, entry.hash),
+                fileSize: entry.size,
+                hash: entry.hash
+            });
+        });
+
+        console.log(`📜 Manifest geladen: ${manifest.modules.length} Module`);
+    }
+
     /** Scanne eine Kategorie nach HTML-Dateien */
     async scanCategory(folderName, categoryKey) {
         const categoryPath = this.basePath + folderName + '/';
@@ -212,6 +320,7 @@ class AutoDiscovery {
 
             const textContent = doc.body?.textContent?.trim().substring(0, 500) || '';
             const id = this.generateModuleId(filePath);
+            const hash = res.headers.get('ETag') || await this.hashContent(html);
 
             const moduleData = {
                 id,
@@ -221,8 +330,9 @@ class AutoDiscovery {
                 category: categoryKey,
                 keywords,
                 textContent,
-                lastModified: new Date().toISOString(),
-                fileSize: html.length
+                lastModified: this.getLastModified(id, hash),
+                fileSize: html.length,
+                hash
             };
 
             this.updateRegistry(moduleData);
@@ -237,6 +347,13 @@ class AutoDiscovery {
 
     /** Fügt Modul in Registry ein */
     updateRegistry(moduleData) {
+        // Bei Kategoriewechsel aus der alten Kategorie entfernen
+        const previous = this.registry.modules[moduleData.id];
+        if (previous && previous.category !== moduleData.category && this.registry.categories[previous.category]) {
+            this.registry.categories[previous.category] = this.registry.categories[previous.category]
+                .filter(m => m.id !== moduleData.id);
+        }
+
         this.registry.modules[moduleData.id] = moduleData;
         if (!this.registry.categories[moduleData.category]) {
             this.registry.categories[moduleData.category] = [];
@@ -251,6 +368,166 @@ class AutoDiscovery {
         this.registry.totalModules = Object.keys(this.registry.modules).length;
     }
 
+    /** Gibt ein Modul anhand seiner ID zurück */
+    getModule(moduleId) {
+        return this.registry.modules[moduleId] || null;
+    }
+
+    /** Schreibgeschützte Kopie der Registry */
+    getRegistry() {
+        return this.deepFreeze(JSON.parse(JSON.stringify(this.registry)));
+    }
+
+    /**
+     * Metadaten-Suche über Titel, Untertitel, Keywords und Textauszug.
+     * Alle Suchbegriffe müssen vorkommen; Treffer sind nach relevanceScore sortiert.
+     */
+    searchModules(query) {
+        const terms = String(query || '').toLowerCase().split(/\s+/).filter(term => term.length > 1);
+        if (terms.length === 0) return [];
+
+        const results = [];
+
+        Object.values(this.registry.modules).forEach(module => {
+            const title = (module.title || '').toLowerCase();
+            const subtitle = (module.subtitle || '').toLowerCase();
+            const keywords = (module.keywords || []).map(keyword => keyword.toLowerCase());
+            const textContent = (module.textContent || '').toLowerCase();
+
+            let relevanceScore = 0;
+
+            for (const term of terms) {
+                let termScore = 0;
+                if (title.includes(term)) termScore += this.searchWeights.title;
+                if (keywords.includes(term)) {
+                    termScore += this.searchWeights.keywords;
+                } else if (keywords.some(keyword => keyword.includes(term))) {
+                    termScore += this.searchWeights.keywords / 2;
+                }
+                if (subtitle.includes(term)) termScore += this.searchWeights.subtitle;
+                if (textContent.includes(term)) termScore += this.searchWeights.textContent;
+
+                if (termScore === 0) return;
+                relevanceScore += termScore;
+            }
+
+            // Bonus, wenn der Titel mit der Suchanfrage beginnt
+            if (title.startsWith(terms.join(' '))) {
+                relevanceScore += this.searchWeights.title;
+            }
+
+            results.push({ ...module, relevanceScore });
+        });
+
+        return results.sort((a, b) => b.relevanceScore - a.relevanceScore);
+    }
+
+    /** Versionierter Export der Registry (für Backups und andere Geräte) */
+    exportRegistry() {
+        return {
+            ...JSON.parse(JSON.stringify(this.registry)),
+            exportDate: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Importiert eine exportierte Registry und führt sie mit der lokalen zusammen.
+     * Ungültige Module werden übersprungen, bei Konflikten gewinnt das neuere lastModified.
+     */
+    async importRegistry(importedRegistry) {
+        if (!importedRegistry || typeof importedRegistry !== 'object') {
+            throw new Error('Registry-Import: keine gültigen Daten');
+        }
+
+        const importedMajor = String(importedRegistry.version || '').split('.')[0];
+        const currentMajor = this.registry.version.split('.')[0];
+        if (importedMajor !== currentMajor) {
+            throw new Error(`Registry-Import: Version ${importedRegistry.version || 'unbekannt'} wird nicht unterstützt`);
+        }
+
+        if (!importedRegistry.modules || typeof importedRegistry.modules !== 'object') {
+            throw new Error('Registry-Import: Modulliste fehlt');
+        }
+
+        const stats = { added: 0, updated: 0, skipped: 0 };
+
+        Object.values(importedRegistry.modules).forEach(candidate => {
+            const module = this.validateImportedModule(candidate);
+            if (!module) {
+                stats.skipped++;
+                return;
+            }
+
+            const existing = this.registry.modules[module.id];
+            if (existing && new Date(module.lastModified) <= new Date(existing.lastModified)) {
+                return;
+            }
+
+            this.updateRegistry(module);
+            stats[existing ? 'updated' : 'added']++;
+        });
+
+        await this.saveRegistry();
+        console.log(`📥 Registry importiert: ${stats.added} neu, ${stats.updated} aktualisiert, ${stats.skipped} ungültig`);
+        return stats;
+    }
+
+    /** Prüft ein importiertes Modul und gibt eine bereinigte Kopie zurück (oder null) */
+    validateImportedModule(module) {
+        if (!module || typeof module !== 'object') return null;
+
+        const { title, path, category } = module;
+        // Titel und Untertitel landen in der Modulliste - kein Markup zulassen
+        const hasMarkup = text => /[<>]/.test(text);
+        if (typeof title !== 'string' || !title.trim() || hasMarkup(title)) return null;
+        if (typeof category !== 'string' || !/^[a-z0-9-]+$/.test(category)) return null;
+        // Nur Module innerhalb von /modules/ zulassen (Pfade werden als Links verwendet)
+        if (typeof path !== 'string' || !path.startsWith(this.basePath) || !path.endsWith('.html')) return null;
+        if (path.includes('..')) return null;
+
+        const lastModified = new Date(module.lastModified);
+
+        return {
+            id: this.generateModuleId(path),
+            title: title.trim(),
+            subtitle: typeof module.subtitle === 'string' && !hasMarkup(module.subtitle) ? module.subtitle : 'Lernmodul',
+            path,
+            category,
+            keywords: Array.isArray(module.keywords)
+                ? module.keywords.filter(keyword => typeof keyword === 'string')
+                : [],
+            textContent: typeof module.textContent === 'string' ? module.textContent.substring(0, 500) : '',
+            lastModified: isNaN(lastModified) ? new Date(0).toISOString() : lastModified.toISOString(),
+            fileSize: Number.isFinite(module.fileSize) ? module.fileSize : 0,
+            hash: typeof module.hash === 'string' ? module.hash : undefined
+        };
+    }
+
+    deepFreeze(object) {
+        Object.values(object).forEach(value => {
+            if (value && typeof value === 'object') this.deepFreeze(value);
+        });
+        return Object.freeze(object);
+    }
+
+    /** Unveränderter Inhalt behält sein lastModified, sonst gilt "jetzt" */
+    getLastModified(moduleId, hash) {
+        const previous = this.previousModules?.[moduleId];
+        return previous && hash && previous.hash === hash
+            ? previous.lastModified
+            : new Date().toISOString();
+    }
+
+    /** SHA-256 des Inhalts (null, wenn WebCrypto nicht verfügbar ist, z. B. ohne HTTPS) */
+    async hashContent(text) {
+        if (!window.crypto?.subtle) return null;
+
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
     /** Hilfsfunktionen */
     generateModuleId(filePath) {
         return filePath.replace(/[^a-zA-Z0-9]/g, '_')
@@ -0,0 +1,129 @@
+// js/click-model.js
+/**
+ * Lokales Klickmodell für das Ranking: Module, die zu einer Anfrage tatsächlich geöffnet wurden,
+ * rücken bei derselben Anfrage nach oben. Klicks weit unten zählen mehr, weil sie seltener
+ * gesehen werden (Positions-Bias, inverse Propensity), ältere Klicks verlieren an Gewicht.
+ * Die Klicks liegen wie bisher in localStorage unter "searchAnalytics".
+ */
+class ClickModel {
+    constructor(options = {}) {
+        this.germanAnalyzer = options.germanAnalyzer || new GermanAnalyzer();
+        this.storageKey = 'searchAnalytics';
+        this.settingKey = 'searchClickRanking';
+        this.maxEvents = 1000;
+
+        this.halfLifeDays = options.halfLifeDays || 30;
+        // Wahrscheinlichkeit, dass Position p (ab 0) gesehen wird: 1 / (p + 1), nach unten begrenzt
+        this.minPropensity = 0.2;
+        // Klickgewicht, ab dem ein Modul die Hälfte des Bonus erreichen kann
+        this.priorClicks = 2;
+        // Höchstbonus auf die Relevanz (Skala 0-100)
+        this.maxBoost = 25;
+    }
+
+    isEnabled() {
+        return localStorage.getItem(this.settingKey) !== 'off';
+    }
+
+    setEnabled(enabled) {
+        localStorage.setItem(this.settingKey, enabled ? 'on' : 'off');
+        console.log(`👆 Klick-Ranking ${enabled ? 'aktiviert' : 'deaktiviert'}`);
+    }
+
+    /**
+     * Speichert einen Klick auf ein Suchergebnis (nur wenn das Klick-Ranking aktiv ist)
+     */
+    recordClick(query, moduleId, position) {
+        if (!this.isEnabled() || !query) return;
+
+        const events = this.loadEvents();
+        events.push({ moduleId, query, timestamp: Date.now(), position });
+
+        // Auf maxEvents Einträge begrenzen
+        if (events.length > this.maxEvents) {
+            events.splice(0, events.length - this.maxEvents);
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(events));
+    }
+
+    loadEvents() {
+        try {
+            const events = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(events) ? events : [];
+        } catch (error) {
+            console.warn('⚠️ Klickdaten konnten nicht geladen werden:', error);
+            return [];
+        }
+    }
+
+    getEventCount() {
+        return this.loadEvents().length;
+    }
+
+    /**
+     * Löscht alle gespeicherten Klicks
+     */
+    reset() {
+        localStorage.removeItem(this.storageKey);
+        console.log('👆 Klick-Ranking zurückgesetzt');
+    }
+
+    /**
+     * Anfrage unabhängig von Groß-/Kleinschreibung, Umlautschreibweise und Wortreihenfolge
+     */
+    normalizeQuery(query) {
+        return this.germanAnalyzer.normalize(String(query)).split(/\s+/).filter(Boolean).sort().join(' ');
+    }
+
+    /**
+     * Bonus je Modul für eine Anfrage: Anteil am gewichteten Klickaufkommen, gedämpft bei wenigen Klicks
+     */
+    getBoosts(query, now = Date.now()) {
+        const key = this.normalizeQuery(query);
+        const weights = new Map();
+        let total = 0;
+
+        this.loadEvents().forEach(event => {
+            if (!event.moduleId || this.normalizeQuery(event.query || '') !== key) return;
+
+            const ageDays = Math.max(0, now - event.timestamp) / 86400000;
+            const decay = Math.pow(0.5, ageDays / this.halfLifeDays);
+            const propensity = Math.max(this.minPropensity, 1 / (Math.max(0, event.position) + 1));
+            const weight = decay / propensity;
+
+            weights.set(event.moduleId, (weights.get(event.moduleId) || 0) + weight);
+            total += weight;
+        });
+
+        const boosts = new Map();
+        weights.forEach((weight, moduleId) => {
+            const share = weight / total;
+            const confidence = weight / (weight + this.priorClicks);
+            boosts.set(moduleId, this.maxBoost * share * confidence);
+        });
+        return boosts;
+    }
+
+    /**
+     * Sortiert Suchergebnisse mit Klick-Bonus neu; clickBoost bleibt am Ergebnis sichtbar
+     */
+    rerank(results, query) {
+        if (!this.isEnabled() || results.length === 0) return results;
+
+        const boosts = this.getBoosts(query);
+        if (boosts.size === 0) return results;
+
+        return results
+            .map(result => {
+                const clickBoost = boosts.get(result.moduleId) || 0;
+                return clickBoost > 0
+                    ? { ...result, clickBoost, relevanceScore: result.relevanceScore + clickBoost }
+                    : result;
+            })
+            .sort((a, b) => b.relevanceScore - a.relevanceScore);
+    }
+}
+
+// Global verfügbar machen
+window.ClickModel = ClickModel;
@@ -0,0 +1,97 @@
+// js/completion-trie.js
+/**
+ * Präfixbaum für die Autovervollständigung der Suche. Begriffe werden normalisiert (ä -> ae)
+ * unter ihrem Anfang und unter jedem weiteren Wortanfang abgelegt, damit "säu" auch
+ * "Organische Säuren" findet. Vorgeschlagen wird die Originalschreibweise.
+ */
+class CompletionTrie {
+    constructor(options = {}) {
+        this.germanAnalyzer = options.germanAnalyzer || new GermanAnalyzer();
+        this.root = { children: new Map(), entries: new Set() };
+        this.entries = new Map(); // kleingeschriebener Begriff -> { term, type, weight }
+        this.cache = new Map(); // Präfix -> sortierte Einträge
+    }
+
+    /**
+     * Nimmt einen Begriff auf; kommt er mehrfach vor, zählt das höchste Gewicht samt Typ
+     */
+    insert(term, type, weight = 1) {
+        const text = term.replace(/\s+/g, ' ').trim();
+        if (text.length < 2) return;
+
+        const id = text.toLowerCase();
+        let entry = this.entries.get(id);
+        if (entry) {
+            if (weight > entry.weight) Object.assign(entry, { type, weight });
+            return;
+        }
+
+        entry = { term: text, type, weight };
+        this.entries.set(id, entry);
+        this.cache.clear();
+
+        const key = this.germanAnalyzer.normalize(text);
+        this.getWordStarts(key).forEach(start => {
+            let node = this.root;
+            for (const char of key.slice(start)) {
+                if (!node.children.has(char)) {
+                    node.children.set(char, { children: new Map(), entries: new Set() });
+                }
+                node = node.children.get(char);
+            }
+            node.entries.add(entry);
+        });
+    }
+
+    /**
+     * Begriffe, die mit dem Präfix beginnen (auch ab einem späteren Wort), nach Gewicht sortiert
+     */
+    complete(prefix, limit = 8) {
+        const key = this.germanAnalyzer.normalize(prefix.replace(/\s+/g, ' ').trimStart());
+        if (!key) return [];
+
+        if (!this.cache.has(key)) {
+            let node = this.root;
+            for (const char of key) {
+                node = node.children.get(char);
+                if (!node) break;
+            }
+            this.cache.set(key, node ? this.sortEntries(this.collectEntries(node, new Set()), key) : []);
+        }
+
+        return this.cache.get(key).slice(0, limit);
+    }
+
+    collectEntries(node, entries) {
+        node.entries.forEach(entry => entries.add(entry));
+        node.children.forEach(child => this.collectEntries(child, entries));
+        return entries;
+    }
+
+    /**
+     * Treffer am Begriffsanfang vor Treffern ab einem späteren Wort, dann Gewicht, dann Kürze
+     */
+    sortEntries(entries, key) {
+        const startsWithKey = entry => this.germanAnalyzer.normalize(entry.term).startsWith(key);
+
+        return Array.from(entries).sort((a, b) =>
+            startsWithKey(b) - startsWithKey(a) ||
+            b.weight - a.weight ||
+            a.term.length - b.term.length ||
+            a.term.localeCompare(b.term, 'de'));
+    }
+
+    /**
+     * Positionen, an denen ein Wort beginnt (Anfang sowie nach Leerzeichen und Bindestrich)
+     */
+    getWordStarts(key) {
+        const starts = [0];
+        for (let i = 1; i < key.length; i++) {
+            if (/[\s-]/.test(key[i - 1]) && !/[\s-]/.test(key[i])) starts.push(i);
+        }
+        return starts;
+    }
+}
+
+// Global verfügbar machen
+window.CompletionTrie = CompletionTrie;
@@ -0,0 +1,508 @@
+// js/content-analyzer.js
+/**
+ * Zerlegt ein Modul in Abschnitte, Tabellen, Listen und Keywords.
+ * Ohne DOM-Abhängigkeit außer der Element-API - läuft daher im Index-Worker
+ * (mit HtmlExtractor) genauso wie im Hauptthread.
+ */
+class ContentAnalyzer {
+    constructor() {
+        // Doppelte Stoppwörter entfernt
+        this.stopWords = new Set([
+            'der', 'die', 'das', 'und', 'oder', 'aber', 'mit', 'von', 'zu', 'in', 'an', 'auf',
+            'für', 'bei', 'durch', 'über', 'unter', 'nach', 'vor', 'bis', 'seit', 'während',
+            'wegen', 'trotz', 'ohne', 'gegen', 'um', 'zwischen', 'neben', 'hinter',
+            'ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'sich', 'mich', 'dich', 'uns', 'euch',
+            'ist', 'sind', 'war', 'waren', 'hat', 'haben', 'wird', 'werden', 'kann', 'könnte',
+            'soll', 'sollte', 'muss', 'müssen', 'darf', 'dürfen', 'will', 'wollen', 'mag', 'mögen',
+            'ein', 'eine', 'einer', 'einem', 'einen', 'kein', 'keine', 'keiner', 'keinem', 'keinen',
+            'this', 'that', 'with', 'from', 'they', 'been', 'have', 'their', 'said', 'each',
+            'which', 'would', 'there', 'what', 'more', 'very', 'like', 'well', 'just'
+        ]);
+        
+        this.medicalTerms = new Set([
+            'enzym', 'protein', 'gen', 'mutation', 'defekt', 'störung', 'syndrom', 'krankheit',
+            'therapie', 'behandlung', 'diagnose', 'symptom', 'klinik', 'labor', 'test', 'analyse',
+            'konzentration', 'aktivität', 'metabolit', 'substrat', 'produkt', 'cofaktor',
+            'vitamin', 'mineral', 'spurenelement', 'aminosäure', 'fettsäure', 'nukleotid',
+            'glykogen', 'glukose', 'fruktose', 'galaktose', 'saccharose', 'laktose', 'maltose',
+            'cholesterin', 'triglyzerid', 'phospholipid', 'sphingolipid', 'steroid',
+            'purin', 'pyrimidin', 'adenin', 'guanin', 'cytosin', 'thymin', 'uracil',
+            'carnitin', 'coenzym', 'nad', 'nadh', 'fad', 'fadh', 'atp', 'adp', 'amp',
+            'mitochondrium', 'peroxisom', 'lysosom', 'endoplasmatisch', 'ribosom',
+            'hyperammonämie', 'hypoglykämie', 'ketoazidose', 'laktatazidose', 'azidose'
+        ]);
+        // Felder für die BM25F-Gewichtung; alles übrige Sichtbare zählt als body
+        this.fieldSelectors = {
+            headings: 'h1, h2, h3, h4, h5, h6, .emergency-title, .detail-title, .calculator-title',
+            tables: 'th, td',
+            lists: 'li'
+        };
+        this.skippedTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+        // Bedienelemente und Seitenrahmen: weder Suchbegriffe noch Lesezeit
+        this.skippedSelector = 'button, select, option, textarea, footer, .episode-bar';
+
+        // Abschnitte mit stabiler id (aufklappbare Karten, Unterabschnitte) - Sprungziele der Suche
+        this.anchorSelector = '.emergency-item[id], .detail-section[id]';
+        this.sectionTitleSelector = '.emergency-title, .detail-title';
+
+        this.htmlExtractor = new HtmlExtractor();
+        this.germanAnalyzer = new GermanAnalyzer();
+        this.labValues = new LabValueExtractor();
+    }
+
+    /**
+     * Analysiert den HTML-Quelltext eines Moduls
+     */
+    analyzeHtml(html, module) {
+        const doc = this.htmlExtractor.parse(html);
+        return this.extractAndProcessContent(doc, module);
+    }
+
+    /**
+     * Extrahiert und verarbeitet den Inhalt eines HTML-Dokuments
+     */
+    extractAndProcessContent(doc, module) {
+        const content = {
+            moduleId: module.id,
+            title: module.title,
+            category: module.category,
+            hash: module.hash || null, // Inhalts-Hash aus modules.json
+            indexedAt: Date.now(), // für den Abgleich beim Import eines Backups
+            sections: [],
+            keywords: new Set(),
+            medicalTerms: new Set(),
+            fullText: '',
+            bodyText: '', // sichtbarer Text in Dokumentreihenfolge (für Phrasensuche)
+            fieldTerms: {}, // Feld -> { Term -> Häufigkeit }
+            fieldLengths: {}, // Feld -> Anzahl Terme
+            labFacts: [], // Laborwert-Bereiche { analyte, low, high, unit, text, anchor, path }
+            wordCount: 0,
+            readingTime: 0
+        };
+
+        // Titel verarbeiten - FIX: forEach statt spread operator
+        this.extractKeywords(module.title).forEach(keyword => content.keywords.add(keyword));
+
+        // Hauptinhalt extrahieren
+        this.extractSections(doc, content);
+        
+        // Tabellen extrahieren
+        this.extractTables(doc, content);
+        
+        // Listen extrahieren
+        this.extractLists(doc, content);
+
+        // Termhäufigkeiten je Feld für das Ranking
+        this.extractFieldTerms(doc, module, content);
+
+        // Laborwerte mit Grenzwerten für die Wertesuche
+        this.extractLabFacts(doc, content);
+
+        // Meta-Keywords extrahieren - FIX: forEach statt spread operator
+        const metaKeywords = doc.querySelector('meta[name="keywords"]')?.getAttribute('content');
+        if (metaKeywords) {
+            metaKeywords.split(',')
+                .map(k => k.trim().toLowerCase())
+                .forEach(keyword => content.keywords.add(keyword));
+        }
+
+        // Medizinische Begriffe identifizieren
+        this.identifyMedicalTerms(content);
+
+        // Statistiken berechnen - aus dem gesamten sichtbaren Text, fullText enthält nur Überschriften und Absätze
+        content.wordCount = this.countWords(content.bodyText);
+        content.readingTime = Math.ceil(content.wordCount / 200); // 200 Wörter/Minute
+
+        return content;
+    }
+
+    /**
+     * Zählt Termhäufigkeiten getrennt nach Titel, Überschriften, Tabellenzellen, Listen und Fließtext
+     */
+    extractFieldTerms(doc, module, content) {
+        const fieldTexts = { title: [module.title], headings: [], tables: [], lists: [], body: [] };
+        const bodyTexts = [];
+
+        const walk = (node, field) => {
+            // Textknoten (HtmlExtractor: string, DOM: nodeType 3)
+            if (typeof node === 'string' || node.nodeType === 3) {
+                const text = typeof node === 'string' ? node : node.textContent;
+                fieldTexts[field].push(text);
+                bodyTexts.push(text);
+                return;
+            }
+            if (node.nodeType !== undefined && node.nodeType !== 1) return;
+            if (this.isSkipped(node)) return;
+
+            // Das äußerste passende Element bestimmt das Feld
+            const nodeField = field === 'body' ? this.getField(node) : field;
+            Array.from(node.childNodes).forEach(child => walk(child, nodeField));
+        };
+        walk(doc.body, 'body');
+        content.bodyText = bodyTexts.join(' ').replace(/\s+/g, ' ').trim();
+
+        Object.entries(fieldTexts).forEach(([field, texts]) => {
+            const terms = this.extractKeywords(texts.join(' '));
+            const frequencies = {};
+            terms.forEach(term => {
+                frequencies[term] = (frequencies[term] || 0) + 1;
+                content.keywords.add(term);
+            });
+
+            content.fieldTerms[field] = frequencies;
+            content.fieldLengths[field] = terms.length;
+        });
+    }
+
+    isSkipped(element) {
+        return this.skippedTags.has(element.tagName) || element.matches(this.skippedSelector);
+    }
+
+    getField(element) {
+        const match = Object.entries(this.fieldSelectors)
+            .find(([, selector]) => element.matches(selector));
+        return match ? match[0] : 'body';
+    }
+
+    /**
+     * Extrahiert Abschnitte aus dem HTML-Dokument
+     */
+    extractSections(doc, content) {
+        // Überschriften und zugehörige Inhalte
+        const headings = doc.querySelectorAll('h1, h2, h3, h4, h5, h6');
+        
+        headings.forEach((heading, index) => {
+            const anchorElement = this.findAnchorElement(heading);
+            const section = {
+                level: parseInt(heading.tagName.charAt(1)),
+                title: heading.textContent.trim(),
+                anchor: anchorElement?.id || null,
+                path: anchorElement ? this.getSectionPath(anchorElement) : [],
+                content: '',
+                keywords: new Set()
+            };
+            if (anchorElement !== heading) {
+                section.path.push(section.title);
+            }
+
+            // Inhalt nach der Überschrift sammeln
+            let nextElement = heading.nextElementSibling;
+            const contentElements = [];
+
+            while (nextElement && !this.isHeading(nextElement)) {
+                if (this.isContentElement(nextElement)) {
+                    contentElements.push(nextElement);
+                }
+                nextElement = nextElement.nextElementSibling;
+            }
+
+            // Text aus Content-Elementen extrahieren
+            section.content = contentElements
+                .map(el => el.textContent.trim())
+                .filter(text => text.length > 0)
+                .join(' ');
+
+            // Keywords aus Überschrift und Inhalt extrahieren - FIX: forEach statt spread
+            this.extractKeywords(section.title).forEach(keyword => section.keywords.add(keyword));
+            this.extractKeywords(section.content).forEach(keyword => section.keywords.add(keyword));
+
+            content.sections.push(section);
+            content.fullText += section.title + ' ' + section.content + ' ';
+            section.keywords.forEach(keyword => content.keywords.add(keyword));
+        });
+
+        // Abschnitte mit id, auch ohne h1-h6 (z.B. .emergency-item mit .detail-section)
+        doc.querySelectorAll(this.anchorSelector).forEach(element => {
+            const path = this.getSectionPath(element);
+            const section = {
+                level: path.length,
+                title: this.getSectionTitle(element),
+                anchor: element.id,
+                path,
+                content: this.getOwnSectionText(element),
+                keywords: new Set()
+            };
+
+            this.extractKeywords(section.title).forEach(keyword => section.keywords.add(keyword));
+            this.extractKeywords(section.content).forEach(keyword => section.keywords.add(keyword));
+
+            content.sections.push(section);
+            section.keywords.forEach(keyword => content.keywords.add(keyword));
+        });
+
+        // Auch Text ohne Überschriften erfassen
+        const paragraphs = doc.querySelectorAll('p, div.content, div.text, .module-content');
+        paragraphs.forEach(p => {
+            const text = p.textContent.trim();
+            if (text.length > 20) { // Nur relevante Texte
+                content.fullText += text + ' ';
+                this.extractKeywords(text).forEach(keyword => content.keywords.add(keyword));
+            }
+        });
+    }
+
+    /**
+     * Sammelt Laborwert-Fakten je Abschnitt mit Sprungziel, aus dem übrigen Text und aus Tabellen
+     */
+    extractLabFacts(doc, content) {
+        const seen = new Set();
+        const addFacts = (facts, anchor, path) => {
+            facts.forEach(fact => {
+                const key = [anchor, fact.analyte, fact.low, fact.high].join('|');
+                if (seen.has(key)) return;
+                seen.add(key);
+                content.labFacts.push({ ...fact, anchor, path });
+            });
+        };
+
+        doc.querySelectorAll(this.anchorSelector).forEach(element => {
+            const path = this.getSectionPath(element);
+            addFacts(this.labValues.extractFacts(this.getOwnSectionText(element), path.join(' ')), element.id, path);
+        });
+
+        // Tabellen: Einheit und Analyt stehen oft nur in Kopfzeile oder erster Spalte
+        content.sections
+            .filter(section => section.type === 'table')
+            .forEach(table => {
+                const facts = this.labValues.extractTableFacts(table.headers, table.rows, table.path.join(' ') || content.title);
+                addFacts(facts, table.anchor, table.path);
+            });
+
+        addFacts(this.labValues.extractFacts(this.getOwnSectionText(doc.body), content.title), null, []);
+    }
+
+    /**
+     * Element selbst, falls es eine id hat, sonst der nächste umschließende Abschnitt mit id
+     */
+    findAnchorElement(element) {
+        if (element.id) return element;
+        return element.parentElement?.closest(this.anchorSelector) || null;
+    }
+
+    /**
+     * Titel aller umschließenden Abschnitte bis einschließlich des Elements
+     */
+    getSectionPath(element) {
+        const path = [];
+        for (let section = element; section; section = section.parentElement?.closest(this.anchorSelector)) {
+            path.unshift(this.getSectionTitle(section));
+        }
+        return path.filter(Boolean);
+    }
+
+    getSectionTitle(section) {
+        const titleElement = section.querySelector(this.sectionTitleSelector);
+        return (titleElement?.textContent || '')
+            .replace(/\s+/g, ' ')
+            .replace(/^[^\p{L}\p{N}]+/u, '') // Icons vor dem Titel
+            .trim();
+    }
+
+    /**
+     * Text eines Abschnitts ohne Titel und ohne verschachtelte Abschnitte mit eigener id
+     */
+    getOwnSectionText(section) {
+        const titleElement = section.querySelector(this.sectionTitleSelector);
+        const texts = [];
+
+        const walk = node => {
+            if (typeof node === 'string' || node.nodeType === 3) {
+                texts.push(typeof node === 'string' ? node : node.textContent);
+                return;
+            }
+            if (node.nodeType !== undefined && node.nodeType !== 1) return;
+            if (this.isSkipped(node) || node === titleElement) return;
+            if (node !== section && node.matches(this.anchorSelector)) return;
+
+            Array.from(node.childNodes).forEach(walk);
+        };
+        walk(section);
+
+        return texts.join(' ').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Extrahiert Tabellen strukturiert: Kopfzeile, Zeilen, Zeilen- und Spaltenbeschriftungen
+     * sowie der Abschnitt, in dem die Tabelle steht (für Tabellen-Ansicht und Sprungziel)
+     */
+    extractTables(doc, content) {
+        const tables = doc.querySelectorAll('table');
+        
+        tables.forEach((table, index) => {
+            const anchorElement = this.findAnchorElement(table);
+            const path = anchorElement ? this.getSectionPath(anchorElement) : [];
+            const tableData = {
+                type: 'table',
+                index, // Position im Modul
+                title: this.getCellText(table.querySelector('caption')) || path[path.length - 1] || content.title,
+                anchor: anchorElement?.id || null,
+                path,
+                headers: [], // letzte Kopfzeile
+                rows: [], // Datenzeilen inkl. Zeilenbeschriftung in der ersten Spalte
+                rowLabels: [],
+                columnLabels: [],
+                keywords: new Set()
+            };
+
+            Array.from(table.querySelectorAll('tr')).forEach(row => {
+                const cells = Array.from(row.querySelectorAll('th, td'));
+                if (cells.length === 0) return;
+
+                const cellTexts = cells.map(cell => this.getCellText(cell));
+                cellTexts.forEach(text => {
+                    this.extractKeywords(text).forEach(keyword => tableData.keywords.add(keyword));
+                });
+
+                // Kopfzeile: in thead oder nur aus th vor der ersten Datenzeile
+                const isHeader = row.closest('thead') ||
+                    (tableData.rows.length === 0 && cells.every(cell => cell.tagName === 'TH'));
+                if (isHeader) {
+                    tableData.headers = cellTexts;
+                } else {
+                    tableData.rows.push(cellTexts);
+                }
+            });
+
+            // Erste Spalte beschriftet die Zeilen, die übrigen Überschriften die Wertespalten
+            tableData.rowLabels = tableData.rows.map(row => row[0]);
+            tableData.columnLabels = tableData.headers.slice(1);
+
+            content.sections.push(tableData);
+            tableData.keywords.forEach(keyword => content.keywords.add(keyword));
+        });
+    }
+
+    /**
+     * Zellentext mit Zeilenumbrüchen an <br> ("6mL/kg/hr<br>(10mg/kg/min)")
+     */
+    getCellText(cell) {
+        if (!cell) return '';
+
+        const texts = [];
+        const walk = node => {
+            if (typeof node === 'string' || node.nodeType === 3) {
+                texts.push(typeof node === 'string' ? node : node.textContent);
+                return;
+            }
+            if (node.nodeType !== undefined && node.nodeType !== 1) return;
+            if (node.tagName === 'BR') {
+                texts.push('\n');
+                return;
+            }
+            Array.from(node.childNodes).forEach(walk);
+        };
+        walk(cell);
+
+        return texts.join('')
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * Extrahiert Listen (ul, ol)
+     */
+    extractLists(doc, content) {
+        const lists = doc.querySelectorAll('ul, ol');
+        
+        lists.forEach(list => {
+            const listData = {
+                type: 'list',
+                items: [],
+                keywords: new Set()
+            };
+
+            const items = list.querySelectorAll('li');
+            items.forEach(li => {
+                const itemText = li.textContent.trim();
+                listData.items.push(itemText);
+                this.extractKeywords(itemText).forEach(keyword => listData.keywords.add(keyword));
+            });
+
+            content.sections.push(listData);
+            listData.keywords.forEach(keyword => content.keywords.add(keyword));
+        });
+    }
+
+    /**
+     * Extrahiert Keywords aus einem Text
+     */
+    extractKeywords(text) {
+        return this.tokenize(text).flatMap(word => this.germanAnalyzer.analyzeWord(word));
+    }
+
+    /**
+     * Ein Term je Wort, ohne Kompositazerlegung (z.B. für Thesaurus-Begriffe)
+     */
+    extractTermKeys(text) {
+        return this.tokenize(text).map(word => this.germanAnalyzer.primaryTerm(word));
+    }
+
+    /**
+     * Zerlegt Text in kleingeschriebene Wörter ohne Stoppwörter und Zahlen
+     */
+    tokenize(text) {
+        if (!text) return [];
+
+        return text
+            .toLowerCase()
+            .replace(/[^\wäöüß\s-]/g, ' ')
+            .split(/\s+/)
+            .filter(word => 
+                word.length >= 3 && 
+                !this.stopWords.has(word) &&
+                !/^\d+$/.test(word)
+            )
+            .map(word => word.trim())
+            .filter(word => word.length > 0);
+    }
+
+    /**
+     * Identifiziert medizinische Fachbegriffe
+     */
+    identifyMedicalTerms(content) {
+        const text = content.fullText.toLowerCase();
+        
+        this.medicalTerms.forEach(term => {
+            if (text.includes(term)) {
+                content.medicalTerms.add(term);
+                // Medizinische Begriffe sind wichtige Keywords
+                this.extractKeywords(term).forEach(keyword => content.keywords.add(keyword));
+            }
+        });
+
+        // Erkenne häufige Endungen medizinischer Begriffe (an den Wörtern, nicht an den Stämmen)
+        const medicalSuffixes = ['ämie', 'ose', 'itis', 'pathie', 'logie', 'gramm', 'skopie'];
+        this.tokenize(content.fullText).forEach(word => {
+            if (medicalSuffixes.some(suffix => word.endsWith(suffix))) {
+                content.medicalTerms.add(word);
+            }
+        });
+    }
+
+    /**
+     * Hilfsfunktion: Prüft ob Element eine Überschrift ist
+     */
+    isHeading(element) {
+        return /^H[1-6]$/.test(element.tagName);
+    }
+
+    /**
+     * Hilfsfunktion: Prüft ob Element Inhalt enthält
+     */
+    isContentElement(element) {
+        const contentTags = ['P', 'DIV', 'SPAN', 'UL', 'OL', 'TABLE', 'BLOCKQUOTE', 'PRE'];
+        return contentTags.includes(element.tagName) && element.textContent.trim().length > 10;
+    }
+
+    /**
+     * Hilfsfunktion: Zählt Wörter in einem Text
+     */
+    countWords(text) {
+        return text.split(/\s+/).filter(word => word.length > 0).length;
+    }
+}
+
+// Global verfügbar machen (window im Browser, self im Worker)
+self.ContentAnalyzer = ContentAnalyzer;
@@ -1,114 +1,182 @@
 // js/content-indexer.js
 class ContentIndexer {
-    constructor() {
+    constructor(options = {}) {
+        this.storage = options.storage || MetabolicStorage.shared();
+        this.autoDiscovery = options.autoDiscovery || null;
+
+        // Indexformat - bei Änderung wird der gespeicherte Index verworfen und neu aufgebaut
         this.searchIndex = {
-            version: '1.0',
+            version: '9.0',
             lastUpdate: null,
             totalIndexedModules: 0,
             index: {}, // moduleId -> indexed content
             keywords: new Set(), // Alle gefundenen Keywords
             categories: {}, // categoryKey -> keyword frequency
-            invertedIndex: {} // keyword -> [moduleIds]
+            invertedIndex: {}, // keyword -> [moduleIds]
+            fieldStats: { documentCount: 0, averageLengths: {} } // für BM25F, wird nicht gespeichert
+        };
+
+        // BM25F: Gewicht und Längennormalisierung (b) je Feld
+        this.ranking = {
+            k1: 1.2,
+            synonymWeight: 0.8, // Treffer über den Thesaurus
+            noteScore: 2, // je Term in eigenen Notizen (gesättigt wie BM25)
+            labValueScore: 3, // je Laborwert-Bereich, in den der gesuchte Wert fällt
+            fields: {
+                title: { weight: 3, b: 0.5 },
+                headings: { weight: 2, b: 0.75 },
+                tables: { weight: 1.5, b: 0.75 },
+                lists: { weight: 1.2, b: 0.75 },
+                body: { weight: 1, b: 0.75 }
+            }
         };
         
-        // Doppelte Stoppwörter entfernt
-        this.stopWords = new Set([
-            'der', 'die', 'das', 'und', 'oder', 'aber', 'mit', 'von', 'zu', 'in', 'an', 'auf',
-            'für', 'bei', 'durch', 'über', 'unter', 'nach', 'vor', 'bis', 'seit', 'während',
-            'wegen', 'trotz', 'ohne', 'gegen', 'um', 'zwischen', 'neben', 'hinter',
-            'ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'sich', 'mich', 'dich', 'uns', 'euch',
-            'ist', 'sind', 'war', 'waren', 'hat', 'haben', 'wird', 'werden', 'kann', 'könnte',
-            'soll', 'sollte', 'muss', 'müssen', 'darf', 'dürfen', 'will', 'wollen', 'mag', 'mögen',
-            'ein', 'eine', 'einer', 'einem', 'einen', 'kein', 'keine', 'keiner', 'keinem', 'keinen',
-            'this', 'that', 'with', 'from', 'they', 'been', 'have', 'their', 'said', 'each',
-            'which', 'would', 'there', 'what', 'more', 'very', 'like', 'well', 'just'
-        ]);
-        
-        this.medicalTerms = new Set([
-            'enzym', 'protein', 'gen', 'mutation', 'defekt', 'störung', 'syndrom', 'krankheit',
-            'therapie', 'behandlung', 'diagnose', 'symptom', 'klinik', 'labor', 'test', 'analyse',
-            'konzentration', 'aktivität', 'metabolit', 'substrat', 'produkt', 'cofaktor',
-            'vitamin', 'mineral', 'spurenelement', 'aminosäure', 'fettsäure', 'nukleotid',
-            'glykogen', 'glukose', 'fruktose', 'galaktose', 'saccharose', 'laktose', 'maltose',
-            'cholesterin', 'triglyzerid', 'phospholipid', 'sphingolipid', 'steroid',
-            'purin', 'pyrimidin', 'adenin', 'guanin', 'cytosin', 'thymin', 'uracil',
-            'carnitin', 'coenzym', 'nad', 'nadh', 'fad', 'fadh', 'atp', 'adp', 'amp',
-            'mitochondrium', 'peroxisom', 'lysosom', 'endoplasmatisch', 'ribosom',
-            'hyperammonämie', 'hypoglykämie', 'ketoazidose', 'laktatazidose', 'azidose'
-        ]);
+        // Keyword-Extraktion und Abschnittsanalyse (auch im Index-Worker verwendet)
+        this.analyzer = options.analyzer || new ContentAnalyzer();
+        this.thesaurus = options.thesaurus || new MedicalThesaurus({ analyzer: this.analyzer });
+        this.labValues = this.analyzer.labValues;
+        this.queryParser = options.queryParser || new QueryParser({ labValues: this.labValues });
+        // Modul -> Termfolge des Textes, für Phrasen (wird bei Bedarf berechnet)
+        this.termSequences = new WeakMap();
+        // Eigene Notizen als eigene Partition - aus localStorage aufgebaut, nicht im gespeicherten Index
+        this.notesIndex = { notes: {}, invertedIndex: {} };
+        this.buildNotesIndex();
+        // In einem anderen Tab gespeicherte Notizen
+        window.addEventListener('storage', (e) => {
+            if (e.key?.startsWith('notes_')) this.updateNote(e.key.slice('notes_'.length), e.newValue || '');
+        });
+        // "Meinten Sie ...?" und Autovervollständigung - nach Indexänderungen bei Bedarf neu aufgebaut
+        this.spellChecker = null;
+        this.completionTrie = null;
+        this.thesaurus.ready.then(() => this.resetLookups());
+
+        // Indexierung im Worker
+        this.workerPath = '/metabolic-base/js/index-worker.js';
+        this.worker = null;
+        this.activeJob = null;
+        this.indexing = null;
         
-        // Request-Throttling für bessere Performance
+        // Request-Throttling für bessere Performance (Fallback ohne Worker)
         this.maxConcurrentRequests = 5;
         
-        this.loadIndex();
+        // Erst nach ready ist der gespeicherte Index geladen
+        this.ready = this.loadIndex();
     }
 
     /**
-     * Lädt den bestehenden Suchindex aus localStorage
+     * Lädt den bestehenden Suchindex aus IndexedDB (einmalig aus altem localStorage übernommen)
      */
-    loadIndex() {
-        if (!this.isLocalStorageAvailable()) {
-            console.warn('⚠️ localStorage nicht verfügbar - Index wird nur im Arbeitsspeicher gehalten');
-            return;
-        }
+    async loadIndex() {
+        try {
+            await this.storage.migrateLegacyItem('searchIndex', legacy => {
+                this.applyStoredIndex(legacy, this.restoreSerializedContents(legacy));
+                return this.saveIndex();
+            });
 
-        const saved = localStorage.getItem('searchIndex');
-        if (saved) {
-            try {
-                const parsed = JSON.parse(saved);
-                this.searchIndex = { ...this.searchIndex, ...parsed };
-                
-                // Set-Objekte wiederherstellen
-                this.searchIndex.keywords = new Set(parsed.keywords || []);
-                
+            const [meta, contents] = await Promise.all([
+                this.storage.get('meta', 'searchIndex'),
+                this.storage.getAll('searchIndex')
+            ]);
+
+            if (meta) {
+                this.applyStoredIndex(meta, contents);
                 console.log('📇 Suchindex geladen:', this.searchIndex.totalIndexedModules, 'Module indexiert');
-            } catch (error) {
-                console.warn('⚠️ Suchindex konnte nicht geladen werden:', error);
             }
+        } catch (error) {
+            console.warn('⚠️ Suchindex konnte nicht geladen werden:', error);
         }
     }
 
     /**
-     * Speichert den Suchindex in localStorage
+     * Baut Index, Keywords, Inverted Index und Kategorien aus den Modul-Datensätzen auf
      */
-    saveIndex() {
-        if (!this.isLocalStorageAvailable()) {
-            console.warn('⚠️ localStorage nicht verfügbar - Index kann nicht gespeichert werden');
-            return;
+    applyStoredIndex(meta, contents) {
+        if (meta.version !== this.searchIndex.version) {
+            console.log(`♻️ Indexformat ${meta.version || 'unbekannt'} veraltet - Index wird neu aufgebaut`);
+            contents = [];
         }
 
-        try {
-            const toSave = {
-                ...this.searchIndex,
-                keywords: Array.from(this.searchIndex.keywords),
-                lastUpdate: new Date().toISOString()
-            };
-            
-            localStorage.setItem('searchIndex', JSON.stringify(toSave));
-            console.log('💾 Suchindex gespeichert:', this.searchIndex.totalIndexedModules, 'Module');
-        } catch (error) {
-            console.warn('⚠️ Suchindex konnte nicht gespeichert werden:', error);
-        }
+        this.searchIndex.lastUpdate = meta.lastUpdate || null;
+        this.searchIndex.index = {};
+        this.searchIndex.keywords = new Set();
+        this.searchIndex.categories = {};
+        this.searchIndex.invertedIndex = {};
+
+        contents.forEach(content => {
+            this.searchIndex.index[content.moduleId] = content;
+            content.keywords.forEach(keyword => this.searchIndex.keywords.add(keyword));
+        });
+
+        this.buildInvertedIndex();
+        this.buildCategoryStats();
+        this.buildFieldStats();
+        this.resetLookups();
+        this.searchIndex.totalIndexedModules = contents.length;
     }
 
     /**
-     * Prüft ob localStorage verfügbar ist
+     * Modul-Datensätze aus JSON (alter localStorage-Index, Backup-Datei) wieder mit Sets versehen.
+     * Ältere Exporte haben Sets als {} gespeichert - Keywords dann aus dem Inverted Index zurückgewinnen.
      */
-    isLocalStorageAvailable() {
+    restoreSerializedContents(serialized) {
+        const contents = Object.values(serialized.index || {}).map(content => ({
+            ...content,
+            keywords: new Set(Array.isArray(content.keywords) ? content.keywords : []),
+            medicalTerms: new Set(Array.isArray(content.medicalTerms) ? content.medicalTerms : []),
+            sections: (content.sections || []).map(section => ({
+                ...section,
+                keywords: new Set(Array.isArray(section.keywords) ? section.keywords : [])
+            }))
+        }));
+
+        Object.entries(serialized.invertedIndex || {}).forEach(([keyword, moduleIds]) => {
+            contents
+                .filter(content => moduleIds.includes(content.moduleId))
+                .forEach(content => content.keywords.add(keyword));
+        });
+
+        return contents;
+    }
+
+    /**
+     * Speichert den Suchindex - nur geänderte Module werden geschrieben
+     */
+    async saveIndex() {
+        this.searchIndex.lastUpdate = new Date().toISOString();
+
         try {
-            const test = '__localStorage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
+            const result = await this.storage.writeRecords('searchIndex', Object.values(this.searchIndex.index), {
+                searchIndex: {
+                    version: this.searchIndex.version,
+                    lastUpdate: this.searchIndex.lastUpdate,
+                    totalIndexedModules: this.searchIndex.totalIndexedModules
+                }
+            });
+
+            if (!result) {
+                console.warn('⚠️ Kein persistenter Speicher - Index wird nur im Arbeitsspeicher gehalten');
+                return false;
+            }
+
+            console.log(`💾 Suchindex gespeichert: ${this.searchIndex.totalIndexedModules} Module (${result.written} geschrieben, ${result.deleted} entfernt)`);
             return true;
-        } catch (e) {
+        } catch (error) {
+            console.error('❌ Suchindex konnte nicht gespeichert werden:', error);
             return false;
         }
     }
 
     /**
-     * Hauptfunktion: Baut den Suchindex für alle Module auf
+     * Hauptfunktion: Baut den Suchindex für alle Module neu auf
      */
-    async buildIndex() {
+    buildIndex() {
+        if (!this.indexing) {
+            this.indexing = this.runFullBuild().finally(() => { this.indexing = null; });
+        }
+        return this.indexing;
+    }
+
+    async runFullBuild() {
         console.log('🔍 Starte Content-Indexierung...');
         
         // Index zurücksetzen
@@ -119,300 +187,314 @@ class ContentIndexer {
         this.searchIndex.totalIndexedModules = 0;
 
         try {
-            // Auto-Discovery Registry holen
-            const autoDiscovery = new AutoDiscovery();
-            const registry = autoDiscovery.getRegistry();
-
-            // Module in Batches verarbeiten für bessere Performance
-            const modules = Object.values(registry.modules);
-            await this.processBatches(modules, this.maxConcurrentRequests);
+            const registry = await this.getRegistry();
+            const { cancelled } = await this.runIndexing(Object.values(registry.modules));
 
-            // Inverted Index erstellen
-            this.buildInvertedIndex();
+            this.rebuildDerivedData();
+            await this.saveIndex();
 
-            // Kategorie-Statistiken erstellen
-            this.buildCategoryStats();
-
-            // Index speichern
-            this.saveIndex();
-
-            console.log(`✅ Content-Indexierung abgeschlossen: ${this.searchIndex.totalIndexedModules} Module indexiert`);
+            console.log(`✅ Content-Indexierung ${cancelled ? 'abgebrochen' : 'abgeschlossen'}: ${this.searchIndex.totalIndexedModules} Module indexiert`);
             console.log(`📚 ${this.searchIndex.keywords.size} eindeutige Keywords gefunden`);
         } catch (error) {
             console.error('❌ Fehler bei der Content-Indexierung:', error);
+            this.reportProgress('error', 0, 0);
         }
     }
 
     /**
-     * Verarbeitet Module in Batches um Browser nicht zu überlasten
+     * Inkrementelle Aktualisierung: nur neue, geänderte (anderer Hash) und gelöschte Module
+     * werden verarbeitet. Module ohne Hash werden sicherheitshalber immer neu indexiert.
      */
-    async processBatches(modules, batchSize) {
-        for (let i = 0; i < modules.length; i += batchSize) {
-            const batch = modules.slice(i, i + batchSize);
-            const batchPromises = batch.map(module => this.indexModule(module));
-            
-            await Promise.all(batchPromises);
-            
-            // Kurze Pause zwischen Batches
-            if (i + batchSize < modules.length) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
+    updateIndex() {
+        if (!this.indexing) {
+            this.indexing = this.runUpdate().finally(() => { this.indexing = null; });
         }
+        return this.indexing;
     }
 
-    /**
-     * Indexiert ein einzelnes Modul
-     */
-    async indexModule(module) {
+    async runUpdate() {
+        await this.ready;
+
         try {
-            console.log(`📄 Indexiere: ${module.title}`);
-            
-            // HTML-Inhalt laden mit Timeout
-            const response = await this.fetchWithTimeout(module.path, 10000);
-            if (!response.ok) {
-                console.warn(`⚠️ Konnte ${module.path} nicht laden (${response.status})`);
-                return;
+            const registry = await this.getRegistry();
+
+            const modules = Object.values(registry.modules);
+            const changedModules = modules.filter(module => {
+                const indexed = this.searchIndex.index[module.id];
+                return !indexed || !module.hash || indexed.hash !== module.hash;
+            });
+            const removedIds = Object.keys(this.searchIndex.index)
+                .filter(moduleId => !registry.modules[moduleId]);
+
+            const stats = {
+                added: changedModules.filter(module => !this.searchIndex.index[module.id]).length,
+                updated: changedModules.filter(module => this.searchIndex.index[module.id]).length,
+                removed: removedIds.length,
+                cancelled: false
+            };
+
+            if (changedModules.length === 0 && removedIds.length === 0) {
+                console.log('✓ Suchindex ist aktuell');
+                return stats;
             }
 
-            const html = await response.text();
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(html, 'text/html');
+            console.log(`🔄 Aktualisiere Suchindex: ${stats.added} neu, ${stats.updated} geändert, ${stats.removed} gelöscht`);
 
-            // Inhalt extrahieren und verarbeiten
-            const indexedContent = this.extractAndProcessContent(doc, module);
-            
-            // In Index speichern
-            this.searchIndex.index[module.id] = indexedContent;
-            this.searchIndex.totalIndexedModules++;
+            removedIds.forEach(moduleId => this.removeFromIndex(moduleId));
+            ({ cancelled: stats.cancelled } = await this.runIndexing(changedModules));
 
+            // Bereits indexierte Module bleiben auch nach einem Abbruch erhalten
+            this.rebuildDerivedData();
+            await this.saveIndex();
+            return stats;
         } catch (error) {
-            console.warn(`⚠️ Fehler beim Indexieren von ${module.title}:`, error);
+            console.error('❌ Fehler bei der Index-Aktualisierung:', error);
+            this.reportProgress('error', 0, 0);
+            throw error;
         }
     }
 
+    async getRegistry() {
+        const autoDiscovery = this.autoDiscovery || new AutoDiscovery();
+        await autoDiscovery.ready;
+        return autoDiscovery.getRegistry();
+    }
+
     /**
-     * Fetch mit Timeout
+     * Keywords und Kategorie-Statistiken aus dem Index neu berechnen (ohne erneutes Laden der Module)
      */
-    async fetchWithTimeout(url, timeout = 10000) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
-        
-        try {
-            const response = await fetch(url, { signal: controller.signal });
-            clearTimeout(timeoutId);
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            throw error;
-        }
+    rebuildDerivedData() {
+        this.searchIndex.keywords = new Set(
+            Object.values(this.searchIndex.index).flatMap(content => Array.from(content.keywords))
+        );
+        this.searchIndex.categories = {};
+        this.buildCategoryStats();
+        this.buildFieldStats();
+        this.resetLookups();
     }
 
     /**
-     * Extrahiert und verarbeitet den Inhalt eines HTML-Dokuments
+     * Entfernt ein Modul aus Index und Inverted Index
      */
-    extractAndProcessContent(doc, module) {
-        const content = {
-            moduleId: module.id,
-            title: module.title,
-            category: module.category,
-            sections: [],
-            keywords: new Set(),
-            medicalTerms: new Set(),
-            fullText: '',
-            wordCount: 0,
-            readingTime: 0
-        };
-
-        // Titel verarbeiten - FIX: forEach statt spread operator
-        this.extractKeywords(module.title).forEach(keyword => content.keywords.add(keyword));
-
-        // Hauptinhalt extrahieren
-        this.extractSections(doc, content);
-        
-        // Tabellen extrahieren
-        this.extractTables(doc, content);
-        
-        // Listen extrahieren
-        this.extractLists(doc, content);
+    removeFromIndex(moduleId) {
+        const content = this.searchIndex.index[moduleId];
+        if (!content) return;
 
-        // Meta-Keywords extrahieren - FIX: forEach statt spread operator
-        const metaKeywords = doc.querySelector('meta[name="keywords"]')?.getAttribute('content');
-        if (metaKeywords) {
-            metaKeywords.split(',')
-                .map(k => k.trim().toLowerCase())
-                .forEach(keyword => content.keywords.add(keyword));
-        }
+        content.keywords.forEach(keyword => {
+            const moduleIds = this.searchIndex.invertedIndex[keyword];
+            if (!moduleIds) return;
+
+            const remaining = moduleIds.filter(id => id !== moduleId);
+            if (remaining.length > 0) {
+                this.searchIndex.invertedIndex[keyword] = remaining;
+            } else {
+                delete this.searchIndex.invertedIndex[keyword];
+            }
+        });
 
-        // Medizinische Begriffe identifizieren
-        this.identifyMedicalTerms(content);
+        delete this.searchIndex.index[moduleId];
+        this.searchIndex.totalIndexedModules = Object.keys(this.searchIndex.index).length;
+    }
 
-        // Statistiken berechnen
-        content.wordCount = this.countWords(content.fullText);
-        content.readingTime = Math.ceil(content.wordCount / 200); // 200 Wörter/Minute
+    /**
+     * Trägt die Keywords eines Moduls in den Inverted Index ein
+     */
+    addToInvertedIndex(content) {
+        content.keywords.forEach(keyword => {
+            if (!this.searchIndex.invertedIndex[keyword]) {
+                this.searchIndex.invertedIndex[keyword] = [];
+            }
+            if (!this.searchIndex.invertedIndex[keyword].includes(content.moduleId)) {
+                this.searchIndex.invertedIndex[keyword].push(content.moduleId);
+            }
+        });
+    }
 
-        // Keywords zu globalem Set hinzufügen
+    /**
+     * Übernimmt ein analysiertes Modul in den Index (ersetzt den alten Stand)
+     */
+    storeContent(content) {
+        this.removeFromIndex(content.moduleId);
+        this.searchIndex.index[content.moduleId] = content;
+        this.addToInvertedIndex(content);
         content.keywords.forEach(keyword => this.searchIndex.keywords.add(keyword));
-
-        return content;
+        this.searchIndex.totalIndexedModules = Object.keys(this.searchIndex.index).length;
     }
 
     /**
-     * Extrahiert Abschnitte aus dem HTML-Dokument
+     * Indexiert Module im Worker, ohne Worker-Unterstützung im Hauptthread
      */
-    extractSections(doc, content) {
-        // Überschriften und zugehörige Inhalte
-        const headings = doc.querySelectorAll('h1, h2, h3, h4, h5, h6');
-        
-        headings.forEach((heading, index) => {
-            const section = {
-                level: parseInt(heading.tagName.charAt(1)),
-                title: heading.textContent.trim(),
-                content: '',
-                keywords: new Set()
-            };
+    async runIndexing(modules) {
+        this.cancelRequested = false;
+        this.reportProgress('running', 0, modules.length);
+
+        let result;
+        if (typeof Worker !== 'undefined') {
+            try {
+                result = await this.runInWorker(modules);
+            } catch (error) {
+                console.warn('⚠️ Index-Worker fehlgeschlagen, indexiere im Hauptthread:', error);
+            }
+        }
 
-            // Inhalt nach der Überschrift sammeln
-            let nextElement = heading.nextElementSibling;
-            const contentElements = [];
+        if (!result) {
+            result = await this.processBatches(modules, this.maxConcurrentRequests);
+        }
 
-            while (nextElement && !this.isHeading(nextElement)) {
-                if (this.isContentElement(nextElement)) {
-                    contentElements.push(nextElement);
-                }
-                nextElement = nextElement.nextElementSibling;
+        this.reportProgress(result.cancelled ? 'cancelled' : 'done', result.done, modules.length);
+        return result;
+    }
+
+    /**
+     * Schickt die Module an den Index-Worker; Ergebnisse kommen einzeln zurück
+     */
+    runInWorker(modules) {
+        return new Promise((resolve, reject) => {
+            if (!this.worker) {
+                this.worker = new Worker(this.workerPath);
             }
 
-            // Text aus Content-Elementen extrahieren
-            section.content = contentElements
-                .map(el => el.textContent.trim())
-                .filter(text => text.length > 0)
-                .join(' ');
+            const jobId = Date.now();
+            let done = 0;
+            this.activeJob = { resolve: () => resolve({ cancelled: true, done }) };
 
-            // Keywords aus Überschrift und Inhalt extrahieren - FIX: forEach statt spread
-            this.extractKeywords(section.title).forEach(keyword => section.keywords.add(keyword));
-            this.extractKeywords(section.content).forEach(keyword => section.keywords.add(keyword));
+            this.worker.onmessage = event => {
+                const message = event.data;
+                if (message.jobId !== jobId) return;
 
-            content.sections.push(section);
-            content.fullText += section.title + ' ' + section.content + ' ';
-            section.keywords.forEach(keyword => content.keywords.add(keyword));
-        });
+                switch (message.type) {
+                    case 'result':
+                        this.storeContent(message.content);
+                        break;
+                    case 'error':
+                        console.warn(`⚠️ Fehler beim Indexieren von ${message.title}:`, message.error);
+                        break;
+                    case 'progress':
+                        done = message.done;
+                        this.reportProgress('running', done, message.total, message.title);
+                        break;
+                    case 'complete':
+                        this.activeJob = null;
+                        resolve({ cancelled: false, done });
+                        break;
+                }
+            };
 
-        // Auch Text ohne Überschriften erfassen
-        const paragraphs = doc.querySelectorAll('p, div.content, div.text, .module-content');
-        paragraphs.forEach(p => {
-            const text = p.textContent.trim();
-            if (text.length > 20) { // Nur relevante Texte
-                content.fullText += text + ' ';
-                this.extractKeywords(text).forEach(keyword => content.keywords.add(keyword));
-            }
+            this.worker.onerror = error => {
+                error.preventDefault?.();
+                this.activeJob = null;
+                this.terminateWorker();
+                reject(error.error || new Error(error.message || 'Worker-Fehler'));
+            };
+
+            this.worker.postMessage({
+                type: 'index',
+                jobId,
+                modules: modules.map(({ id, title, category, path, hash }) => ({ id, title, category, path, hash }))
+            });
         });
     }
 
     /**
-     * Extrahiert Tabellendaten
+     * Bricht eine laufende Indexierung ab; bereits indexierte Module bleiben erhalten
      */
-    extractTables(doc, content) {
-        const tables = doc.querySelectorAll('table');
-        
-        tables.forEach(table => {
-            const tableData = {
-                type: 'table',
-                headers: [],
-                rows: [],
-                keywords: new Set()
-            };
-
-            // Kopfzeilen extrahieren
-            const headerCells = table.querySelectorAll('th');
-            headerCells.forEach(th => {
-                const headerText = th.textContent.trim();
-                tableData.headers.push(headerText);
-                this.extractKeywords(headerText).forEach(keyword => tableData.keywords.add(keyword));
-            });
+    cancelIndexing() {
+        this.cancelRequested = true;
+
+        if (this.activeJob) {
+            // Worker sofort beenden, auch wenn gerade ein Modul geladen wird
+            this.terminateWorker();
+            this.activeJob.resolve();
+            this.activeJob = null;
+        }
+        console.log('⏹️ Indexierung abgebrochen');
+    }
 
-            // Datenzeilen extrahieren
-            const rows = table.querySelectorAll('tr');
-            rows.forEach(row => {
-                const cells = row.querySelectorAll('td');
-                if (cells.length > 0) {
-                    const rowData = Array.from(cells).map(td => td.textContent.trim());
-                    tableData.rows.push(rowData);
-                    
-                    rowData.forEach(cellText => {
-                        this.extractKeywords(cellText).forEach(keyword => tableData.keywords.add(keyword));
-                    });
-                }
-            });
+    terminateWorker() {
+        this.worker?.terminate();
+        this.worker = null;
+    }
 
-            content.sections.push(tableData);
-            tableData.keywords.forEach(keyword => content.keywords.add(keyword));
-        });
+    /**
+     * Meldet den Fortschritt an die Oberfläche (Status-Leiste der Startseite)
+     */
+    reportProgress(state, done, total, title = '') {
+        window.dispatchEvent(new CustomEvent('indexprogress', {
+            detail: { state, done, total, title }
+        }));
     }
 
     /**
-     * Extrahiert Listen (ul, ol)
+     * Fallback ohne Worker: verarbeitet Module in Batches um Browser nicht zu überlasten
      */
-    extractLists(doc, content) {
-        const lists = doc.querySelectorAll('ul, ol');
-        
-        lists.forEach(list => {
-            const listData = {
-                type: 'list',
-                items: [],
-                keywords: new Set()
-            };
+    async processBatches(modules, batchSize) {
+        let done = 0;
 
-            const items = list.querySelectorAll('li');
-            items.forEach(li => {
-                const itemText = li.textContent.trim();
-                listData.items.push(itemText);
-                this.extractKeywords(itemText).forEach(keyword => listData.keywords.add(keyword));
-            });
+        for (let i = 0; i < modules.length; i += batchSize) {
+            if (this.cancelRequested) {
+                return { cancelled: true, done };
+            }
 
-            content.sections.push(listData);
-            listData.keywords.forEach(keyword => content.keywords.add(keyword));
-        });
+            const batch = modules.slice(i, i + batchSize);
+            await Promise.all(batch.map(async module => {
+                await this.indexModule(module);
+                done++;
+                this.reportProgress('running', done, modules.length, module.title);
+            }));
+            
+            // Kurze Pause zwischen Batches
+            if (i + batchSize < modules.length) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+        }
+
+        return { cancelled: false, done };
     }
 
     /**
-     * Extrahiert Keywords aus einem Text
+     * Indexiert ein einzelnes Modul im Hauptthread
      */
-    extractKeywords(text) {
-        if (!text) return [];
+    async indexModule(module) {
+        try {
+            console.log(`📄 Indexiere: ${module.title}`);
+            
+            // HTML-Inhalt laden mit Timeout
+            const response = await this.fetchWithTimeout(module.path, 10000);
+            if (!response.ok) {
+                console.warn(`⚠️ Konnte ${module.path} nicht laden (${response.status})`);
+                return;
+            }
+
+            const html = await response.text();
+            this.storeContent(this.analyzer.analyzeHtml(html, module));
 
-        return text
-            .toLowerCase()
-            .replace(/[^\wäöüß\s-]/g, ' ')
-            .split(/\s+/)
-            .filter(word => 
-                word.length >= 3 && 
-                !this.stopWords.has(word) &&
-                !/^\d+$/.test(word)
-            )
-            .map(word => word.trim())
-            .filter(word => word.length > 0);
+        } catch (error) {
+            console.warn(`⚠️ Fehler beim Indexieren von ${module.title}:`, error);
+        }
     }
 
     /**
-     * Identifiziert medizinische Fachbegriffe
+     * Fetch mit Timeout
      */
-    identifyMedicalTerms(content) {
-        const text = content.fullText.toLowerCase();
+    async fetchWithTimeout(url, timeout = 10000) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
         
-        this.medicalTerms.forEach(term => {
-            if (text.includes(term)) {
-                content.medicalTerms.add(term);
-                content.keywords.add(term); // Medizinische Begriffe sind wichtige Keywords
-            }
-        });
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            clearTimeout(timeoutId);
+            return response;
+        } catch (error) {
+            clearTimeout(timeoutId);
+            throw error;
+        }
+    }
 
-        // Erkenne häufige Endungen medizinischer Begriffe
-        const medicalSuffixes = ['ämie', 'ose', 'itis', 'pathie', 'logie', 'gramm', 'skopie'];
-        content.keywords.forEach(keyword => {
-            if (medicalSuffixes.some(suffix => keyword.endsWith(suffix))) {
-                content.medicalTerms.add(keyword);
-            }
-        });
+    /**
+     * Extrahiert Keywords aus einem Text (z. B. aus der Suchanfrage)
+     */
+    extractKeywords(text) {
+        return this.analyzer.extractKeywords(text);
     }
 
     /**
@@ -421,17 +503,7 @@ class ContentIndexer {
     buildInvertedIndex() {
         console.log('📚 Erstelle Inverted Index...');
         
-        Object.values(this.searchIndex.index).forEach(content => {
-            content.keywords.forEach(keyword => {
-                if (!this.searchIndex.invertedIndex[keyword]) {
-                    this.searchIndex.invertedIndex[keyword] = [];
-                }
-                
-                if (!this.searchIndex.invertedIndex[keyword].includes(content.moduleId)) {
-                    this.searchIndex.invertedIndex[keyword].push(content.moduleId);
-                }
-            });
-        });
+        Object.values(this.searchIndex.index).forEach(content => this.addToInvertedIndex(content));
     }
 
     /**
@@ -470,231 +542,684 @@ class ContentIndexer {
     }
 
     /**
-     * Sucht nach einem Begriff im Index
+     * Durchschnittliche Feldlängen und Dokumentanzahl für BM25F
+     */
+    buildFieldStats() {
+        const contents = Object.values(this.searchIndex.index);
+        const averageLengths = {};
+
+        Object.keys(this.ranking.fields).forEach(field => {
+            const total = contents.reduce((sum, content) => sum + (content.fieldLengths?.[field] || 0), 0);
+            averageLengths[field] = contents.length ? total / contents.length : 0;
+        });
+
+        this.searchIndex.fieldStats = { documentCount: contents.length, averageLengths };
+    }
+
+    /**
+     * Inverse Dokumentfrequenz (BM25-Variante, immer positiv)
+     */
+    calculateIdf(term) {
+        const documentCount = this.searchIndex.fieldStats.documentCount;
+        const documentFrequency = this.searchIndex.invertedIndex[term]?.length || 0;
+        return Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    }
+
+    /**
+     * BM25F-Score eines Terms für ein Modul: Termhäufigkeiten werden je Feld
+     * längennormalisiert und gewichtet summiert, dann einmal gesättigt.
+     */
+    calculateBm25f(content, term) {
+        const { k1, fields } = this.ranking;
+        const { averageLengths } = this.searchIndex.fieldStats;
+        let weightedFrequency = 0;
+
+        Object.entries(fields).forEach(([field, { weight, b }]) => {
+            const frequency = content.fieldTerms?.[field]?.[term] || 0;
+            if (!frequency) return;
+
+            const length = content.fieldLengths[field] || 0;
+            const averageLength = averageLengths[field] || length || 1;
+            weightedFrequency += weight * frequency / (1 - b + b * length / averageLength);
+        });
+
+        if (!weightedFrequency) return 0;
+        return this.calculateIdf(term) * weightedFrequency / (k1 + weightedFrequency);
+    }
+
+    /**
+     * Sucht im Index. query ist der Text aus dem Suchfeld oder das Ergebnis von QueryParser.parse();
+     * Anfragen mit Syntaxfehlern liefern keine Treffer.
      */
     search(query, options = {}) {
         const {
             maxResults = 50,
             categoryFilter = null,
-            fuzzySearch = true,
-            includeExcerpts = true,
-            fuzzyThreshold = 0.7,
-            maxFuzzyChecks = 1000 // Performance-Limit für Fuzzy Search
+            includeExcerpts = true
         } = options;
 
-        if (!query || query.length < 2) {
+        const parsedQuery = typeof query === 'string' ? this.queryParser.parse(query) : query;
+        if (!parsedQuery || parsedQuery.input.trim().length < 2 || parsedQuery.errors.length > 0) {
             return [];
         }
 
-        const results = [];
-        const queryKeywords = this.extractKeywords(query);
-        
-        // Exakte Suche
-        queryKeywords.forEach(keyword => {
-            if (this.searchIndex.invertedIndex[keyword]) {
-                this.searchIndex.invertedIndex[keyword].forEach(moduleId => {
-                    this.addSearchResult(results, moduleId, keyword, 'exact', includeExcerpts);
-                });
+        // Jede Gruppe muss treffen; innerhalb einer Gruppe (OR) genügt eine Klausel
+        let hits = null;
+        parsedQuery.groups.forEach(group => {
+            const clauseHits = group.clauses
+                .map(clause => this.evaluateClause(clause, options))
+                .filter(Boolean); // Klauseln nur aus Stoppwörtern schränken nicht ein
+            if (clauseHits.length === 0) return;
+
+            const groupHits = new Map();
+            clauseHits.forEach(clauseHit => clauseHit.forEach((result, moduleId) => {
+                groupHits.has(moduleId)
+                    ? this.mergeSearchResult(groupHits.get(moduleId), result)
+                    : groupHits.set(moduleId, result);
+            }));
+
+            if (hits === null) {
+                hits = groupHits;
+                return;
             }
+            hits.forEach((result, moduleId) => {
+                groupHits.has(moduleId)
+                    ? this.mergeSearchResult(result, groupHits.get(moduleId))
+                    : hits.delete(moduleId);
+            });
         });
 
-        // Optimierter Fuzzy Search mit Performance-Limits
-        if (fuzzySearch && queryKeywords.length > 0) {
-            const indexedKeywords = Object.keys(this.searchIndex.invertedIndex);
-            let fuzzyChecks = 0;
-            
-            for (const indexedKeyword of indexedKeywords) {
-                if (fuzzyChecks >= maxFuzzyChecks) break;
-                
-                // Nur Keywords ähnlicher Länge prüfen (Performance-Optimierung)
-                const lengthDiff = Math.abs(indexedKeyword.length - queryKeywords[0].length);
-                if (lengthDiff > 3) continue;
-                
-                for (const queryKeyword of queryKeywords) {
-                    const similarity = this.calculateJaroWinkler(queryKeyword, indexedKeyword);
-                    if (similarity > fuzzyThreshold && similarity < 1.0) {
-                        this.searchIndex.invertedIndex[indexedKeyword].forEach(moduleId => {
-                            this.addSearchResult(results, moduleId, indexedKeyword, 'fuzzy', includeExcerpts, similarity);
-                        });
-                        break;
-                    }
-                    fuzzyChecks++;
-                }
-            }
+        if (hits === null) {
+            return [];
         }
 
-        // Nach Kategorie filtern
-        let filteredResults = results;
-        if (categoryFilter && categoryFilter !== 'all') {
-            filteredResults = results.filter(result => 
-                result.category === categoryFilter
-            );
-        }
+        // Ausschlüsse nur exakt - ohne Synonyme
+        parsedQuery.exclusions.forEach(clause => {
+            const excluded = this.evaluateClause(clause, { ...options, expandSynonyms: false });
+            excluded?.forEach((result, moduleId) => hits.delete(moduleId));
+        });
+
+        const results = Array.from(hits.values());
+
+        // Nach Kategorie filtern - ein Schlüssel oder eine Liste, "all" bzw. leer = alle
+        const categories = [].concat(categoryFilter || []).filter(category => category !== 'all');
+        const filteredResults = categories.length > 0
+            ? results.filter(result => categories.includes(result.category))
+            : results;
 
         // Nach Relevanz sortieren und begrenzen
-        return filteredResults
+        const sortedResults = filteredResults
             .sort((a, b) => b.relevanceScore - a.relevanceScore)
             .slice(0, maxResults);
+
+        // BM25-Werte sind nicht absolut vergleichbar - relativ zum besten Treffer auf 0-100 skalieren
+        const topScore = sortedResults[0]?.relevanceScore || 0;
+        sortedResults.forEach(result => {
+            result.bm25Score = result.relevanceScore;
+            result.relevanceScore = topScore ? (result.relevanceScore / topScore) * 100 : 0;
+
+            // Treffer auf Abschnittsebene (Sprungziele im Modul), passende Laborwert-Bereiche zuerst
+            const content = this.searchIndex.index[result.moduleId];
+            const labSections = this.findLabValueSections(content, result.matchedLabValues, includeExcerpts);
+            const keywordSections = this.findMatchingSections(content, result.matchedKeywords, includeExcerpts)
+                .filter(section => !labSections.some(labSection => labSection.anchor === section.anchor));
+            result.sections = [...labSections, ...keywordSections].slice(0, 3);
+        });
+
+        return sortedResults;
     }
 
     /**
-     * Fügt ein Suchergebnis hinzu oder aktualisiert die Relevanz
+     * Treffer einer Klausel als Map moduleId -> Ergebnis, null wenn die Klausel nichts einschränkt
      */
-    addSearchResult(results, moduleId, keyword, matchType, includeExcerpts, similarity = 1.0) {
-        const content = this.searchIndex.index[moduleId];
-        if (!content) return;
+    evaluateClause(clause, options) {
+        const contents = Object.values(this.searchIndex.index);
 
-        let existingResult = results.find(r => r.moduleId === moduleId);
-        
-        if (!existingResult) {
-            existingResult = {
-                moduleId,
-                title: content.title,
-                category: content.category,
-                relevanceScore: 0,
-                matchedKeywords: [],
-                excerpts: [],
-                wordCount: content.wordCount,
-                readingTime: content.readingTime
-            };
-            results.push(existingResult);
+        if (clause.type === 'value') {
+            return this.evaluateLabValue(contents, clause.labValue);
         }
 
-        // Relevanz-Score berechnen
-        let score = matchType === 'exact' ? 10 : 5;
-        score *= similarity;
-        
-        // Bonus für Titel-Matches
-        if (content.title.toLowerCase().includes(keyword.toLowerCase())) {
-            score *= 2;
+        if (clause.field === 'category') {
+            const category = this.analyzer.germanAnalyzer.normalize(clause.value);
+            return this.createClauseHits(contents.filter(content => content.category.startsWith(category)), 0);
         }
-        
-        existingResult.relevanceScore += score;
-        if (!existingResult.matchedKeywords.includes(keyword)) {
-            existingResult.matchedKeywords.push(keyword);
+
+        const keys = this.analyzer.extractTermKeys(clause.value);
+        if (keys.length === 0) return null;
+
+        if (clause.field === 'note') {
+            return this.scoreNotes(clause, keys, options);
         }
 
-        // Textauszüge erstellen
-        if (includeExcerpts) {
-            const excerpt = this.createExcerpt(content.fullText, keyword);
-            if (excerpt && !existingResult.excerpts.includes(excerpt)) {
-                existingResult.excerpts.push(excerpt);
+        const hits = new Map(
+            this.scoreTerms(clause.value, options).map(result => [result.moduleId, result])
+        );
+
+        // Phrase und Feld als zusätzliche Bedingung
+        hits.forEach((result, moduleId) => {
+            if (!this.matchesClause(this.searchIndex.index[moduleId], clause, keys)) {
+                hits.delete(moduleId);
             }
+        });
+
+        // Ohne Feld zählen auch Treffer in den eigenen Notizen
+        if (!clause.field) {
+            this.scoreNotes(clause, keys, options).forEach((result, moduleId) => {
+                hits.has(moduleId) ? this.mergeSearchResult(hits.get(moduleId), result) : hits.set(moduleId, result);
+            });
         }
+        return hits;
     }
 
     /**
-     * Erstellt einen Textauszug um ein Keyword
+     * "Meinten Sie ...?" - ersetzt Wörter der Anfrage, die weder im Index noch im Thesaurus vorkommen,
+     * durch das häufigste Wort mit dem kleinsten Editierabstand. Operatoren und Felder bleiben erhalten.
+     * Liefert { query, corrections: [{ from, to }] } oder null, wenn es nichts zu korrigieren gibt.
      */
-    createExcerpt(text, keyword, contextLength = 100) {
-        const lowerText = text.toLowerCase();
-        const lowerKeyword = keyword.toLowerCase();
-        const index = lowerText.indexOf(lowerKeyword);
-        
-        if (index === -1) return null;
+    suggest(query) {
+        const parsedQuery = typeof query === 'string' ? this.queryParser.parse(query) : query;
+        if (!parsedQuery || parsedQuery.errors.length > 0) return null;
+
+        const { input } = parsedQuery;
+        const clauses = [...parsedQuery.groups.flatMap(group => group.clauses), ...parsedQuery.exclusions]
+            .filter(clause => clause.type !== 'value' && clause.field !== 'category' && clause.field !== 'note')
+            .sort((a, b) => a.start - b.start);
+
+        const corrections = [];
+        let corrected = '';
+        let position = 0;
+
+        clauses.forEach(clause => {
+            // -, Feldname und Anführungszeichen unverändert übernehmen
+            const prefix = input.slice(clause.start, clause.end).match(/^-?(?:\p{L}+:)?"?/u)[0];
+            const start = clause.start + prefix.length;
+
+            corrected += input.slice(position, start);
+            corrected += input.slice(start, clause.end).replace(/[\p{L}\p{N}]+/gu, word => {
+                const correction = this.correctWord(word);
+                if (correction) corrections.push({ from: word, to: correction });
+                return correction || word;
+            });
+            position = clause.end;
+        });
+        corrected += input.slice(position);
 
-        const start = Math.max(0, index - contextLength);
-        const end = Math.min(text.length, index + keyword.length + contextLength);
-        
-        let excerpt = text.substring(start, end);
-        
-        if (start > 0) excerpt = '...' + excerpt;
-        if (end < text.length) excerpt = excerpt + '...';
+        return corrections.length > 0 ? { query: corrected, corrections } : null;
+    }
+
+    /**
+     * Korrektur für ein unbekanntes Wort, Großschreibung am Wortanfang bleibt erhalten
+     */
+    correctWord(word) {
+        const spellChecker = this.getSpellChecker();
+        const [key] = this.analyzer.extractTermKeys(word);
+        if (!key || this.searchIndex.invertedIndex[key] || this.notesIndex.invertedIndex[key] || spellChecker.has(word)) return null;
+
+        const [best] = spellChecker.lookup(word);
+        if (!best) return null;
 
-        // Keyword hervorheben
-        const regex = new RegExp(`(${this.escapeRegex(keyword)})`, 'gi');
-        excerpt = excerpt.replace(regex, '<mark>$1</mark>');
+        return word[0] === word[0].toUpperCase()
+            ? best.word[0].toUpperCase() + best.word.slice(1)
+            : best.word;
+    }
 
-        return excerpt;
+    getSpellChecker() {
+        if (!this.spellChecker) {
+            this.spellChecker = new SpellChecker({ germanAnalyzer: this.analyzer.germanAnalyzer });
+            this.spellChecker.build(this.collectVocabulary());
+        }
+        return this.spellChecker;
     }
 
     /**
-     * Escaped Regex-Zeichen für sichere Verwendung in RegExp
+     * Präfixbaum für die Autovervollständigung: Modultitel, Abschnittstitel, Thesaurus-Begriffe
+     * und Wörter der Modultexte (häufige Wörter zuerst)
      */
-    escapeRegex(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    getCompletionTrie() {
+        if (!this.completionTrie) {
+            const trie = new CompletionTrie({ germanAnalyzer: this.analyzer.germanAnalyzer });
+            const contents = Object.values(this.searchIndex.index);
+
+            contents.forEach(content => trie.insert(content.title, 'module', 8));
+            contents.forEach(content => content.sections
+                .filter(section => section.type !== 'table' && section.title)
+                .forEach(section => trie.insert(section.title, 'section', 4)));
+            this.thesaurus.groups.forEach(group => group.terms.forEach(entry => trie.insert(entry.term, 'term', 2)));
+
+            const counts = new Map();
+            this.collectVocabulary().forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+            counts.forEach((count, word) => trie.insert(word, 'word', 1 + Math.log10(count)));
+
+            this.completionTrie = trie;
+        }
+        return this.completionTrie;
     }
 
     /**
-     * Berechnet Jaro-Winkler-Ähnlichkeit (effizienter als Levenshtein für Keyword-Suche)
+     * Verwirft Rechtschreibprüfung und Präfixbaum nach Änderungen an Index oder Thesaurus
      */
-    calculateJaroWinkler(s1, s2) {
-        if (s1 === s2) return 1.0;
-        if (s1.length === 0 || s2.length === 0) return 0.0;
+    resetLookups() {
+        this.spellChecker = null;
+        this.completionTrie = null;
+    }
 
-        const matchWindow = Math.floor(Math.max(s1.length, s2.length) / 2) - 1;
-        if (matchWindow < 0) return 0.0;
+    /**
+     * Wörter aus Titeln, Modultexten, eigenen Notizen und Thesaurus in Originalschreibweise (Bindestrich-Wörter einzeln)
+     */
+    collectVocabulary() {
+        const texts = [
+            ...Object.values(this.searchIndex.index).map(content => `${content.title} ${content.bodyText || content.fullText}`),
+            ...Object.values(this.notesIndex.notes).map(note => note.text),
+            ...this.thesaurus.groups.flatMap(group => group.terms.map(entry => entry.term))
+        ];
+
+        return texts
+            .flatMap(text => this.analyzer.tokenize(text))
+            .flatMap(word => word.split('-'))
+            .filter(word => /^\p{L}/u.test(word));
+    }
 
-        const s1Matches = new Array(s1.length).fill(false);
-        const s2Matches = new Array(s2.length).fill(false);
+    /**
+     * Module mit Laborwert-Bereichen, in die der gesuchte Wert fällt (nach Umrechnung in µmol/l)
+     */
+    evaluateLabValue(contents, labValue) {
+        const hits = new Map();
+
+        contents.forEach(content => {
+            const facts = (content.labFacts || [])
+                .filter(fact => this.labValues.matches(fact, labValue.analyte, labValue.canonical));
+            if (facts.length === 0) return;
+
+            const result = this.createSearchResult(content);
+            result.relevanceScore = facts.length * this.ranking.labValueScore;
+            result.matchedLabValues = facts.map(fact => ({ fact, query: labValue }));
+            hits.set(content.moduleId, result);
+        });
 
-        let matches = 0;
-        let transpositions = 0;
+        return hits;
+    }
 
-        // Identifiziere Matches
-        for (let i = 0; i < s1.length; i++) {
-            const start = Math.max(0, i - matchWindow);
-            const end = Math.min(i + matchWindow + 1, s2.length);
+    /**
+     * Prüft Phrase (titel:, tabelle: oder ganzer Text) bzw. Feldbegriff einer Klausel
+     */
+    matchesClause(content, clause, keys) {
+        if (clause.field === 'title') {
+            return this.matchesText(content.title, clause, keys);
+        }
+        if (clause.field === 'table') {
+            return content.sections
+                .filter(section => section.type === 'table')
+                .some(table => [table.headers, ...table.rows].some(row => this.matchesText(row.join(' '), clause, keys)));
+        }
+        if (clause.type === 'phrase') {
+            return this.containsSequence(this.getTermSequence(content), keys) ||
+                this.matchesText(content.title, clause, keys);
+        }
+        return true;
+    }
 
-            for (let j = start; j < end; j++) {
-                if (s2Matches[j] || s1[i] !== s2[j]) continue;
-                s1Matches[i] = true;
-                s2Matches[j] = true;
-                matches++;
-                break;
+    /**
+     * Phrase: Terme direkt hintereinander; Begriff: alle Terme kommen vor (auch als Kompositum-Bestandteil)
+     */
+    matchesText(text, clause, keys) {
+        if (!text) return false;
+        if (clause.type === 'phrase') {
+            return this.containsSequence(this.analyzer.extractTermKeys(text), keys);
+        }
+        const textKeywords = new Set(this.analyzer.extractKeywords(text));
+        return keys.every(key => textKeywords.has(key));
+    }
+
+    containsSequence(sequence, keys) {
+        for (let start = 0; start <= sequence.length - keys.length; start++) {
+            if (keys.every((key, offset) => sequence[start + offset] === key)) return true;
+        }
+        return false;
+    }
+
+    getTermSequence(content) {
+        if (!this.termSequences.has(content)) {
+            this.termSequences.set(content, this.analyzer.extractTermKeys(content.bodyText || content.fullText));
+        }
+        return this.termSequences.get(content);
+    }
+
+    /**
+     * Baut die Notiz-Partition aus allen gespeicherten Notizen (notes_<moduleId>) auf
+     */
+    buildNotesIndex() {
+        this.notesIndex = { notes: {}, invertedIndex: {} };
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key?.startsWith('notes_')) {
+                this.updateNote(key.slice('notes_'.length), localStorage.getItem(key));
             }
         }
+        console.log(`📝 ${Object.keys(this.notesIndex.notes).length} Notizen indexiert`);
+    }
 
-        if (matches === 0) return 0.0;
+    /**
+     * Nimmt die Notiz eines Moduls neu in die Partition auf (nach dem Speichern); leerer Text entfernt sie
+     */
+    updateNote(moduleId, text = '') {
+        const { notes, invertedIndex } = this.notesIndex;
+
+        notes[moduleId]?.termFrequencies.forEach((frequency, keyword) => {
+            invertedIndex[keyword] = invertedIndex[keyword].filter(id => id !== moduleId);
+            if (invertedIndex[keyword].length === 0) delete invertedIndex[keyword];
+        });
+        delete notes[moduleId];
 
-        // Zähle Transpositions
-        let k = 0;
-        for (let i = 0; i < s1.length; i++) {
-            if (!s1Matches[i]) continue;
-            while (!s2Matches[k]) k++;
-            if (s1[i] !== s2[k]) transpositions++;
-            k++;
+        if (text && text.trim()) {
+            const termFrequencies = new Map();
+            this.analyzer.extractKeywords(text).forEach(keyword => {
+                termFrequencies.set(keyword, (termFrequencies.get(keyword) || 0) + 1);
+            });
+
+            notes[moduleId] = { moduleId, text, termFrequencies, sequence: this.analyzer.extractTermKeys(text) };
+            termFrequencies.forEach((frequency, keyword) => {
+                (invertedIndex[keyword] = invertedIndex[keyword] || []).push(moduleId);
+            });
         }
 
-        const jaro = (matches / s1.length + matches / s2.length + (matches - transpositions / 2) / matches) / 3;
+        // Notizwörter gehören zu Vokabular und Autovervollständigung
+        this.resetLookups();
+    }
 
-        // Winkler-Bonus für gemeinsamen Prefix
-        const prefix = Math.min(4, this.getCommonPrefixLength(s1, s2));
-        return jaro + (0.1 * prefix * (1 - jaro));
+    /**
+     * Treffer einer Klausel in den eigenen Notizen: alle Terme (Phrase: direkt hintereinander),
+     * bei Wortsuche auch über den Thesaurus. Nur Module, die im Index stehen.
+     */
+    scoreNotes(clause, keys, options) {
+        const {
+            expandSynonyms = true,
+            includeExcerpts = true
+        } = options;
+
+        const variants = [{ keys, weight: 1 }];
+        if (expandSynonyms && clause.type === 'term') {
+            this.thesaurus.expand(clause.value).forEach(expansion => {
+                variants.push({ keys: expansion.keys, weight: this.ranking.synonymWeight });
+            });
+        }
+
+        const { k1 } = this.ranking;
+        const hits = new Map();
+
+        variants.forEach(variant => {
+            const moduleIds = variant.keys
+                .map(key => this.notesIndex.invertedIndex[key] || [])
+                .reduce((common, moduleIds) => common.filter(moduleId => moduleIds.includes(moduleId)));
+
+            moduleIds.forEach(moduleId => {
+                const note = this.notesIndex.notes[moduleId];
+                const content = this.searchIndex.index[moduleId];
+                if (!content || (clause.type === 'phrase' && !this.containsSequence(note.sequence, variant.keys))) return;
+
+                const score = variant.weight * variant.keys.reduce((sum, key) => {
+                    const frequency = note.termFrequencies.get(key);
+                    return sum + this.ranking.noteScore * (frequency * (k1 + 1)) / (frequency + k1);
+                }, 0);
+
+                if (!hits.has(moduleId)) {
+                    const result = this.createSearchResult(content);
+                    result.matchedNote = true;
+                    hits.set(moduleId, result);
+                }
+
+                const result = hits.get(moduleId);
+                result.relevanceScore = Math.max(result.relevanceScore, score);
+                if (includeExcerpts && !result.noteExcerpt) {
+                    result.noteExcerpt = variant.keys
+                        .map(key => this.createExcerpt(note.text, key, 60))
+                        .find(Boolean) || null;
+                }
+            });
+        });
+
+        return hits;
+    }
+
+    createClauseHits(contents, score) {
+        return new Map(contents.map(content => {
+            const result = this.createSearchResult(content);
+            result.relevanceScore = score;
+            return [content.moduleId, result];
+        }));
     }
 
     /**
-     * Ermittelt die Länge des gemeinsamen Prefixes
+     * Übernimmt Score, Keywords, Synonyme und Auszüge eines weiteren Treffers desselben Moduls
      */
-    getCommonPrefixLength(s1, s2) {
-        let prefix = 0;
-        for (let i = 0; i < Math.min(s1.length, s2.length); i++) {
-            if (s1[i] === s2[i]) prefix++;
-            else break;
+    mergeSearchResult(target, source) {
+        target.relevanceScore += source.relevanceScore;
+        target.matchedNote = target.matchedNote || source.matchedNote;
+        target.noteExcerpt = target.noteExcerpt || source.noteExcerpt;
+        target.matchedLabValues.push(...source.matchedLabValues);
+        source.matchedKeywords.forEach(keyword => {
+            if (!target.matchedKeywords.includes(keyword)) target.matchedKeywords.push(keyword);
+        });
+        source.matchedSynonyms.forEach(synonym => {
+            if (!target.matchedSynonyms.some(existing => existing.term === synonym.term)) target.matchedSynonyms.push(synonym);
+        });
+        source.excerpts.forEach(excerpt => {
+            if (!target.excerpts.includes(excerpt)) target.excerpts.push(excerpt);
+        });
+    }
+
+    /**
+     * Bewertet die Wörter eines Textes: exakt und über den Thesaurus.
+     * Tippfehler behandelt suggest() als eigene, korrigierte Anfrage.
+     */
+    scoreTerms(query, options) {
+        const {
+            expandSynonyms = true,
+            includeExcerpts = true
+        } = options;
+
+        const results = [];
+        const queryKeywords = this.extractKeywords(query);
+        
+        // Exakte Suche
+        queryKeywords.forEach(keyword => {
+            if (this.searchIndex.invertedIndex[keyword]) {
+                this.searchIndex.invertedIndex[keyword].forEach(moduleId => {
+                    this.addSearchResult(results, moduleId, keyword, 'exact', includeExcerpts);
+                });
+            }
+        });
+
+        // Abkürzungen und Synonyme aus dem Thesaurus
+        if (expandSynonyms) {
+            this.thesaurus.expand(query).forEach(expansion => {
+                this.addSynonymResults(results, expansion, queryKeywords, includeExcerpts);
+            });
         }
-        return prefix;
+
+        return results;
     }
 
     /**
-     * Hilfsfunktion: Prüft ob Element eine Überschrift ist
+     * Abschnitte mit Sprungziel, die Suchbegriffe enthalten - Treffer im Abschnittstitel zählen doppelt,
+     * bei Gleichstand gewinnt der tiefere (spezifischere) Abschnitt
      */
-    isHeading(element) {
-        return /^H[1-6]$/.test(element.tagName);
+    findMatchingSections(content, keywords, includeExcerpts, limit = 3) {
+        const matches = [];
+
+        content.sections
+            .filter(section => section.anchor && section.type !== 'table') // Tabellentext steht auch im Abschnitt
+            .forEach(section => {
+                const matchedKeywords = keywords.filter(keyword => section.keywords.has(keyword));
+                if (matchedKeywords.length === 0) return;
+
+                const titleKeywords = new Set(this.extractKeywords(section.title));
+                const score = matchedKeywords.reduce((sum, keyword) => sum + (titleKeywords.has(keyword) ? 2 : 1), 0);
+
+                let excerpt = null;
+                if (includeExcerpts) {
+                    excerpt = matchedKeywords
+                        .map(keyword => this.createExcerpt(section.content, keyword, 60))
+                        .find(Boolean) || null;
+                }
+
+                matches.push({
+                    anchor: section.anchor,
+                    title: section.title,
+                    path: section.path,
+                    matchedKeywords,
+                    highlightKeywords: matchedKeywords,
+                    excerpt,
+                    score,
+                    level: section.path.length
+                });
+            });
+
+        // Pro Sprungziel nur den besten Abschnitt behalten
+        const bestByAnchor = new Map();
+        matches
+            .sort((a, b) => b.score - a.score || b.level - a.level)
+            .forEach(match => {
+                if (!bestByAnchor.has(match.anchor)) bestByAnchor.set(match.anchor, match);
+            });
+
+        return Array.from(bestByAnchor.values()).slice(0, limit);
     }
 
     /**
-     * Hilfsfunktion: Prüft ob Element Inhalt enthält
+     * Abschnitte mit passenden Laborwert-Bereichen; enge Bereiche (von - bis) vor offenen Grenzwerten
      */
-    isContentElement(element) {
-        const contentTags = ['P', 'DIV', 'SPAN', 'UL', 'OL', 'TABLE', 'BLOCKQUOTE', 'PRE'];
-        return contentTags.includes(element.tagName) && element.textContent.trim().length > 10;
+    findLabValueSections(content, matchedLabValues, includeExcerpts) {
+        const byAnchor = new Map();
+
+        matchedLabValues
+            .filter(({ fact }) => fact.anchor)
+            .forEach(labValue => {
+                if (!byAnchor.has(labValue.fact.anchor)) byAnchor.set(labValue.fact.anchor, []);
+                byAnchor.get(labValue.fact.anchor).push(labValue);
+            });
+
+        return Array.from(byAnchor.entries()).map(([anchor, labValues]) => {
+            const section = content.sections.find(candidate => candidate.anchor === anchor && candidate.type !== 'table');
+            const texts = labValues.map(({ fact }) => fact.text);
+            const { fact } = labValues[0];
+
+            return {
+                anchor,
+                title: section?.title || fact.path[fact.path.length - 1] || '',
+                path: fact.path,
+                matchedKeywords: [],
+                highlightKeywords: texts,
+                excerpt: includeExcerpts && section
+                    ? texts.map(text => this.createExcerpt(section.content, text, 60)).find(Boolean) || null
+                    : null,
+                labValues,
+                score: labValues.reduce((sum, { fact }) => sum + (fact.low !== null && fact.high !== null ? 2 : 1), 0),
+                level: fact.path.length
+            };
+        }).sort((a, b) => b.score - a.score || b.level - a.level);
     }
 
     /**
-     * Hilfsfunktion: Zählt Wörter in einem Text
+     * Wertet einen Thesaurus-Begriff aus - nur Module, die alle seine Wörter enthalten
      */
-    countWords(text) {
-        return text.split(/\s+/).filter(word => word.length > 0).length;
+    addSynonymResults(results, expansion, queryKeywords, includeExcerpts) {
+        const moduleIds = expansion.keys
+            .map(key => this.searchIndex.invertedIndex[key] || [])
+            .reduce((common, moduleIds) => common.filter(moduleId => moduleIds.includes(moduleId)));
+
+        moduleIds.forEach(moduleId => {
+            expansion.keys
+                .filter(key => !queryKeywords.includes(key))
+                .forEach(key => this.addSearchResult(results, moduleId, key, 'synonym', includeExcerpts));
+
+            const result = results.find(r => r.moduleId === moduleId);
+            if (result && !result.matchedSynonyms.some(synonym => synonym.term === expansion.term)) {
+                result.matchedSynonyms.push({ term: expansion.term, matchedTerm: expansion.matchedTerm });
+            }
+        });
+    }
+
+    createSearchResult(content) {
+        return {
+            moduleId: content.moduleId,
+            title: content.title,
+            category: content.category,
+            relevanceScore: 0,
+            matchedKeywords: [],
+            matchedSynonyms: [], // { term, matchedTerm } aus dem Thesaurus
+            matchedNote: false, // Treffer in eigener Notiz
+            noteExcerpt: null, // Auszug aus der Notiz (HTML, Treffer markiert)
+            matchedLabValues: [], // { fact, query } - Laborwert-Bereiche, in die der gesuchte Wert fällt
+            excerpts: [],
+            wordCount: content.wordCount,
+            readingTime: content.readingTime
+        };
+    }
+
+    /**
+     * Fügt ein Suchergebnis hinzu oder aktualisiert die Relevanz
+     */
+    addSearchResult(results, moduleId, keyword, matchType, includeExcerpts) {
+        const content = this.searchIndex.index[moduleId];
+        if (!content) return;
+
+        let existingResult = results.find(r => r.moduleId === moduleId);
+        
+        if (!existingResult) {
+            existingResult = this.createSearchResult(content);
+            results.push(existingResult);
+        }
+
+        // Relevanz-Score (BM25F), Synonym-Treffer etwas schwächer
+        let score = this.calculateBm25f(content, keyword);
+        if (matchType === 'synonym') {
+            score *= this.ranking.synonymWeight;
+        }
+
+        existingResult.relevanceScore += score;
+        if (!existingResult.matchedKeywords.includes(keyword)) {
+            existingResult.matchedKeywords.push(keyword);
+        }
+
+        // Textauszüge erstellen
+        if (includeExcerpts) {
+            const excerpt = this.createExcerpt(content.fullText, keyword);
+            if (excerpt && !existingResult.excerpts.includes(excerpt)) {
+                existingResult.excerpts.push(excerpt);
+            }
+        }
+    }
+
+    /**
+     * Erstellt einen Textauszug um ein Keyword als HTML: der Text wird escaped, Treffer in <mark>
+     */
+    createExcerpt(text, keyword, contextLength = 100) {
+        // Keywords sind normalisierte Stämme - im Text in Originalschreibweise suchen
+        const pattern = this.analyzer.germanAnalyzer.createTermPattern(keyword);
+        const match = pattern.exec(text);
+
+        if (!match) return null;
+
+        const start = Math.max(0, match.index - contextLength);
+        const end = Math.min(text.length, match.index + match[0].length + contextLength);
+        
+        let excerpt = text.substring(start, end);
+        
+        if (start > 0) excerpt = '...' + excerpt;
+        if (end < text.length) excerpt = excerpt + '...';
+
+        // Keyword hervorheben - Text zwischen den Treffern einzeln escapen, damit keine Entity zerteilt wird
+        const parts = [];
+        let lastIndex = 0;
+        pattern.lastIndex = 0;
+        for (let hit = pattern.exec(excerpt); hit?.[0]; hit = pattern.exec(excerpt)) {
+            parts.push(HtmlUtils.escape(excerpt.slice(lastIndex, hit.index)), `<mark>${HtmlUtils.escape(hit[0])}</mark>`);
+            lastIndex = hit.index + hit[0].length;
+        }
+        parts.push(HtmlUtils.escape(excerpt.slice(lastIndex)));
+
+        return parts.join('');
     }
 
     /**
@@ -727,39 +1252,42 @@ class ContentIndexer {
      */
     exportIndex() {
         return {
-            ...this.searchIndex,
-            keywords: Array.from(this.searchIndex.keywords),
+            // Sets und Maps als Arrays, damit sie JSON überstehen
+            ...JSON.parse(this.storage.fingerprint(this.searchIndex)),
             exportDate: new Date().toISOString()
         };
     }
 
     /**
-     * Importiert einen Index von anderem Gerät
+     * Importiert einen Index von anderem Gerät. Ein Index in anderem Format wird verworfen
+     * (die Module werden beim nächsten Start neu indexiert), sonst gewinnt je Modul der neuere Eintrag.
      */
-    importIndex(importedIndex) {
+    async importIndex(importedIndex) {
+        if (importedIndex?.version !== this.searchIndex.version) {
+            console.warn(`⚠️ Suchindex im Backup hat Format ${importedIndex?.version || 'unbekannt'} statt ${this.searchIndex.version} - Import übersprungen`);
+            return false;
+        }
+
         try {
-            // Merge-Strategie: Behalte neuere Inhalte
-            Object.entries(importedIndex.index).forEach(([moduleId, content]) => {
-                this.searchIndex.index[moduleId] = content;
+            let imported = 0;
+            this.restoreSerializedContents(importedIndex).forEach(content => {
+                const existing = this.searchIndex.index[content.moduleId];
+                if (existing && (existing.indexedAt || 0) >= (content.indexedAt || 0)) return;
+
+                // storeContent nimmt die Keywords des ersetzten Eintrags aus dem Inverted Index
+                this.storeContent(content);
+                imported++;
             });
 
-            // Keywords zusammenführen
-            if (importedIndex.keywords) {
-                importedIndex.keywords.forEach(keyword => {
-                    this.searchIndex.keywords.add(keyword);
-                });
-            }
-
-            // Inverted Index und Kategorien neu aufbauen
-            this.buildInvertedIndex();
-            this.buildCategoryStats();
-            
-            this.searchIndex.totalIndexedModules = Object.keys(this.searchIndex.index).length;
-            this.saveIndex();
+            // Keywords und Kategorien nur aus den verbliebenen Einträgen
+            this.rebuildDerivedData();
+            await this.saveIndex();
             
-            console.log('📥 Suchindex erfolgreich importiert');
+            console.log(`📥 Suchindex importiert: ${imported} Module übernommen`);
+            return true;
         } catch (error) {
             console.error('❌ Fehler beim Importieren des Suchindex:', error);
+            return false;
         }
     }
 
@@ -773,24 +1301,23 @@ class ContentIndexer {
             totalInvertedEntries: Object.keys(this.searchIndex.invertedIndex).length,
             categoriesIndexed: Object.keys(this.searchIndex.categories).length,
             lastUpdate: this.searchIndex.lastUpdate,
-            indexSize: JSON.stringify(this.searchIndex).length,
-            localStorageAvailable: this.isLocalStorageAvailable()
+            indexSize: this.storage.fingerprint(this.searchIndex).length,
+            persistent: this.storage.isAvailable()
         };
     }
 
     /**
      * Löscht den kompletten Index
      */
-    clearIndex() {
+    async clearIndex() {
         this.searchIndex.index = {};
         this.searchIndex.keywords.clear();
         this.searchIndex.categories = {};
         this.searchIndex.invertedIndex = {};
         this.searchIndex.totalIndexedModules = 0;
         
-        if (this.isLocalStorageAvailable()) {
-            localStorage.removeItem('searchIndex');
-        }
+        await this.storage.clear('searchIndex');
+        await this.storage.delete('meta', 'searchIndex');
         
         console.log('🗑️ Suchindex wurde gelöscht');
     }
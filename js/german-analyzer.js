@@ -0,0 +1,169 @@
+// js/german-analyzer.js
+/**
+ * Deutsche Wortanalyse für Index und Suchanfrage: Umlaut-Normalisierung (ä -> ae, ß -> ss),
+ * leichtes Stemming nach CISTEM und Zerlegung medizinischer Komposita per Wörterbuch.
+ * Reines JavaScript - läuft im Hauptthread und im Index-Worker.
+ */
+class GermanAnalyzer {
+    constructor(options = {}) {
+        this.umlauts = { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss' };
+
+        // Wortbestandteile für die Kompositazerlegung (werden normalisiert abgelegt)
+        this.dictionary = new Set([
+            'aminosäure', 'ammoniak', 'atmung', 'azidurie', 'basis', 'belastung', 'biotin',
+            'blut', 'citrat', 'defekt', 'definition', 'diagnostik', 'dialyse', 'dosierung', 'dosis',
+            'eiweiß', 'enzym', 'episode', 'erhöhung', 'erkrankung', 'farbe', 'fettsäure', 'filtration',
+            'funktion', 'glucose', 'glukose', 'glykogen', 'gruppe', 'harnstoff', 'hormon', 'höchst',
+            'infusion', 'intoleranz', 'kalium', 'kette', 'ketolyse', 'kind', 'krankheit', 'labor',
+            'lactat', 'laktat', 'leber', 'lipid', 'mangel', 'muskel', 'natrium', 'neugeborene',
+            'notfall', 'oxidation', 'parameter', 'protein', 'protokoll', 'rechner', 'retention',
+            'säure', 'screening', 'serum', 'situation', 'sofort', 'speicher', 'spiegel', 'start',
+            'stoffwechsel', 'störung', 'tag', 'test', 'therapie', 'urin', 'verlauf', 'versagen',
+            'wachstum', 'wert', 'zucker', 'zufuhr', 'zyklus',
+            ...(options.dictionary || [])
+        ].map(word => this.normalize(word)));
+
+        // Fugenelemente zwischen Bestandteilen und Flexionsendungen am Wortende
+        this.linkingElements = ['', 's', 'es', 'n', 'en', 'e', 'er'];
+        this.inflectionEndings = ['', 'e', 'en', 'n', 's', 'es', 'er', 'ern'];
+        this.minPartLength = 3;
+        this.minCompoundLength = 8;
+    }
+
+    /**
+     * Liefert die Index-Terme eines kleingeschriebenen Wortes:
+     * Stamm des ganzen Wortes und, falls zerlegbar, die Stämme der Bestandteile
+     */
+    analyzeWord(word) {
+        const normalized = this.normalize(word).replace(/^-+|-+$/g, '');
+        if (!normalized) return [];
+
+        // Bindestrich-Komposita: Teile einzeln und zusammengeschrieben
+        if (normalized.includes('-')) {
+            const parts = normalized.split('-').filter(Boolean);
+            const terms = parts.flatMap(part => this.analyzeWord(part));
+            terms.push(this.stem(parts.join('')));
+            return [...new Set(terms)];
+        }
+
+        const terms = [this.stem(normalized)];
+        this.decompound(normalized).forEach(part => terms.push(this.stem(part)));
+        return [...new Set(terms)];
+    }
+
+    /**
+     * Ein Term je Wort (Stamm des ganzen Wortes ohne Bindestriche), für Mehrwort-Begriffe
+     */
+    primaryTerm(word) {
+        return this.stem(this.normalize(word).replace(/-/g, ''));
+    }
+
+    /**
+     * Umlaute und ß ausschreiben
+     */
+    normalize(word) {
+        return word.toLowerCase().replace(/[äöüß]/g, char => this.umlauts[char]);
+    }
+
+    /**
+     * Stemming nach CISTEM (Weissweiler & Fraser 2017) ohne Entfernen des Präfixes ge-,
+     * damit der Stamm immer ein Präfix des Wortes bleibt (wichtig für Textauszüge)
+     */
+    stem(word) {
+        let stem = word
+            .replace(/sch/g, '$')
+            .replace(/ei/g, '%')
+            .replace(/ie/g, '&')
+            .replace(/(.)\1/g, '$1*');
+
+        while (stem.length > 3) {
+            if (stem.length > 5 && /e[mr]$|nd$/.test(stem)) {
+                stem = stem.slice(0, -2);
+            } else if (/[estn]$/.test(stem)) {
+                stem = stem.slice(0, -1);
+            } else {
+                break;
+            }
+        }
+
+        return stem
+            .replace(/(.)\*/g, '$1$1')
+            .replace(/%/g, 'ei')
+            .replace(/&/g, 'ie')
+            .replace(/\$/g, 'sch');
+    }
+
+    /**
+     * Zerlegt ein normalisiertes Kompositum in Wörterbuch-Bestandteile.
+     * Liefert die Bestandteile sowie alle zusammenhängenden Teilkomposita
+     * (Harnstoff|zyklus|defekte -> harnstoff, zyklus, defekt, harnstoffzyklus, zyklusdefekt),
+     * oder [] wenn das Wort nicht vollständig zerlegbar ist.
+     */
+    decompound(word) {
+        if (word.length < this.minCompoundLength) return [];
+
+        const split = this.findSplit(word, 0, new Map());
+        if (!split || split.length < 2) return [];
+
+        const parts = [];
+        for (let first = 0; first < split.length; first++) {
+            for (let last = first; last < split.length; last++) {
+                if (first === 0 && last === split.length - 1) continue;
+                parts.push(word.slice(split[first].start, split[last].end));
+            }
+        }
+        return parts;
+    }
+
+    /**
+     * Sucht ab Position start die Zerlegung mit den wenigsten Bestandteilen (memoisiert)
+     */
+    findSplit(word, start, memo) {
+        if (memo.has(start)) return memo.get(start);
+
+        let best = null;
+        for (let end = word.length; end >= start + this.minPartLength; end--) {
+            if (!this.dictionary.has(word.slice(start, end))) continue;
+
+            const part = { start, end };
+            const rest = word.slice(end);
+
+            // Letzter Bestandteil, ggf. mit Flexionsendung
+            if (this.inflectionEndings.includes(rest)) {
+                best = [part];
+                break;
+            }
+
+            this.linkingElements.forEach(linker => {
+                if (!rest.startsWith(linker)) return;
+                const tail = this.findSplit(word, end + linker.length, memo);
+                if (tail && (!best || tail.length + 1 < best.length)) {
+                    best = [part, ...tail];
+                }
+            });
+        }
+
+        memo.set(start, best);
+        return best;
+    }
+
+    /**
+     * Regulärer Ausdruck, der einen Term in Originalschreibweise findet
+     * (ganzes Wort ab dem Stamm, ae auch als ä usw.)
+     */
+    createTermPattern(term) {
+        const source = term
+            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/ae|oe|ue|ss/g, pair => `(?:${pair}|${this.findUmlaut(pair)})`)
+            .replace(/([aou])$/, vowel => `[${vowel}${this.findUmlaut(vowel + 'e')}]`);
+
+        return new RegExp(`${source}[\\wäöüß]*`, 'gi');
+    }
+
+    findUmlaut(replacement) {
+        return Object.keys(this.umlauts).find(char => this.umlauts[char] === replacement);
+    }
+}
+
+// Global verfügbar machen (window im Browser, self im Worker)
+self.GermanAnalyzer = GermanAnalyzer;
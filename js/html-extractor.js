@@ -0,0 +1,277 @@
+// js/html-extractor.js
+/**
+ * DOM-freier HTML-Parser für den Index-Worker (dort gibt es keinen DOMParser).
+ * Baut einen vereinfachten Elementbaum mit genau der Teilmenge der DOM-API,
+ * die ContentAnalyzer braucht: querySelector(All), textContent, tagName,
+ * getAttribute, id, children und nextElementSibling.
+ */
+class HtmlElement {
+    constructor(tagName, attributes = {}, parent = null) {
+        this.tagName = tagName.toUpperCase();
+        this.attributes = attributes;
+        this.parentElement = parent;
+        this.childNodes = []; // Text (string) und HtmlElement gemischt
+        this.children = [];
+    }
+
+    get id() {
+        return this.attributes.id || '';
+    }
+
+    get classList() {
+        return (this.attributes.class || '').split(/\s+/).filter(Boolean);
+    }
+
+    get textContent() {
+        return this.childNodes
+            .map(node => typeof node === 'string' ? node : node.textContent)
+            .join('');
+    }
+
+    get nextElementSibling() {
+        if (!this.parentElement) return null;
+        const siblings = this.parentElement.children;
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+
+    get body() {
+        return this.querySelector('body') || this;
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    hasAttribute(name) {
+        return name in this.attributes;
+    }
+
+    appendChild(node) {
+        this.childNodes.push(node);
+        if (node instanceof HtmlElement) {
+            this.children.push(node);
+        }
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    /** Unterstützt Selektorlisten mit Tag, #id, .klasse, [attr] und [attr="wert"] sowie Nachfahren-Kombinator */
+    querySelectorAll(selector) {
+        const selectors = HtmlElement.parseSelectorList(selector);
+        const matches = [];
+
+        const walk = element => {
+            element.children.forEach(child => {
+                if (selectors.some(chain => child.matchesChain(chain))) {
+                    matches.push(child);
+                }
+                walk(child);
+            });
+        };
+        walk(this);
+
+        return matches;
+    }
+
+    matches(selector) {
+        return HtmlElement.parseSelectorList(selector).some(chain => this.matchesChain(chain));
+    }
+
+    closest(selector) {
+        let element = this;
+        while (element && element.tagName !== '#DOCUMENT') {
+            if (element.matches(selector)) return element;
+            element = element.parentElement;
+        }
+        return null;
+    }
+
+    matchesChain(chain) {
+        if (!this.matchesCompound(chain[chain.length - 1])) return false;
+
+        // Vorfahren für die übrigen Teile des Selektors suchen
+        let index = chain.length - 2;
+        let ancestor = this.parentElement;
+        while (index >= 0 && ancestor) {
+            if (ancestor.matchesCompound(chain[index])) index--;
+            ancestor = ancestor.parentElement;
+        }
+        return index < 0;
+    }
+
+    matchesCompound(compound) {
+        if (compound.tag && compound.tag !== this.tagName) return false;
+        if (compound.id && compound.id !== this.id) return false;
+
+        const classes = this.classList;
+        if (!compound.classes.every(className => classes.includes(className))) return false;
+
+        return compound.attributes.every(({ name, value }) =>
+            value === undefined ? this.hasAttribute(name) : this.getAttribute(name) === value
+        );
+    }
+
+    static parseSelectorList(selector) {
+        return selector.split(',').map(part =>
+            part.trim().split(/\s+/).map(compound => HtmlElement.parseCompound(compound))
+        );
+    }
+
+    static parseCompound(compound) {
+        const result = { tag: null, id: null, classes: [], attributes: [] };
+        const pattern = /^[a-zA-Z][\w-]*|#[\w-]+|\.[\w-]+|\[([\w-]+)(?:=["']?([^"'\]]*)["']?)?\]/g;
+        let consumed = 0;
+        let match;
+
+        while ((match = pattern.exec(compound)) !== null) {
+            const token = match[0];
+            if (match.index !== consumed) break;
+            consumed += token.length;
+
+            if (token[0] === '#') result.id = token.slice(1);
+            else if (token[0] === '.') result.classes.push(token.slice(1));
+            else if (token[0] === '[') result.attributes.push({ name: match[1].toLowerCase(), value: match[2] });
+            else result.tag = token.toUpperCase();
+        }
+
+        if (consumed !== compound.length) {
+            throw new Error(`Nicht unterstützter Selektor: ${compound}`);
+        }
+        return result;
+    }
+}
+
+class HtmlExtractor {
+    constructor() {
+        // Elemente ohne schließendes Tag
+        this.voidElements = new Set([
+            'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+            'link', 'meta', 'param', 'source', 'track', 'wbr'
+        ]);
+
+        // Inhalt wird nicht als Text übernommen
+        this.rawTextElements = new Set(['script', 'style', 'template', 'noscript']);
+
+        // Öffnendes Tag -> Tags, die dadurch implizit geschlossen werden
+        this.implicitClose = {
+            li: ['li'],
+            dt: ['dt', 'dd'],
+            dd: ['dt', 'dd'],
+            tr: ['tr', 'td', 'th'],
+            td: ['td', 'th'],
+            th: ['td', 'th'],
+            option: ['option']
+        };
+
+        // Block-Elemente schließen einen offenen Absatz
+        this.blockElements = new Set([
+            'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset',
+            'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main',
+            'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+        ]);
+
+        this.entities = {
+            amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+            auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß',
+            micro: 'µ', deg: '°', plusmn: '±', times: '×', ge: '≥', le: '≤', ndash: '–', mdash: '—'
+        };
+    }
+
+    /**
+     * Parst HTML in einen dokumentartigen Baum
+     */
+    parse(html) {
+        const documentNode = new HtmlElement('#document');
+        const stack = [documentNode];
+        const current = () => stack[stack.length - 1];
+        const tokenPattern = /<!--[\s\S]*?-->|<![^>]*>|<\/?([a-zA-Z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|[^<]+|</g;
+        let match;
+
+        while ((match = tokenPattern.exec(html)) !== null) {
+            const token = match[0];
+
+            // Kommentare und Doctype ignorieren
+            if (token.startsWith('<!')) continue;
+
+            // Text
+            if (!match[1]) {
+                current().appendChild(this.decodeEntities(token));
+                continue;
+            }
+
+            const tagName = match[1].toLowerCase();
+
+            // Schließendes Tag: bis zum passenden offenen Element zurückgehen
+            if (token[1] === '/') {
+                const openIndex = stack.map(element => element.tagName).lastIndexOf(tagName.toUpperCase());
+                if (openIndex > 0) stack.length = openIndex;
+                continue;
+            }
+
+            this.closeImplicitly(stack, tagName);
+
+            const element = new HtmlElement(tagName, this.parseAttributes(match[2]), current());
+            current().appendChild(element);
+
+            if (this.rawTextElements.has(tagName)) {
+                // Inhalt bis zum schließenden Tag überspringen
+                const closing = new RegExp(`</${tagName}\\s*>`, 'ig');
+                closing.lastIndex = tokenPattern.lastIndex;
+                const end = closing.exec(html);
+                tokenPattern.lastIndex = end ? closing.lastIndex : html.length;
+                continue;
+            }
+
+            if (!this.voidElements.has(tagName) && !token.endsWith('/>')) {
+                stack.push(element);
+            }
+        }
+
+        return documentNode;
+    }
+
+    closeImplicitly(stack, tagName) {
+        const closes = this.implicitClose[tagName] || [];
+        const currentTag = () => stack[stack.length - 1].tagName.toLowerCase();
+
+        if (closes.includes(currentTag())) {
+            stack.pop();
+            // <tr> schließt ggf. auch die offene Zelle und die vorige Zeile
+            if (tagName === 'tr' && currentTag() === 'tr') stack.pop();
+        }
+
+        if (this.blockElements.has(tagName) && currentTag() === 'p') {
+            stack.pop();
+        }
+    }
+
+    parseAttributes(source) {
+        const attributes = {};
+        const pattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+        let match;
+
+        while ((match = pattern.exec(source || '')) !== null) {
+            const value = match[2] ?? match[3] ?? match[4] ?? '';
+            attributes[match[1].toLowerCase()] = this.decodeEntities(value);
+        }
+        return attributes;
+    }
+
+    decodeEntities(text) {
+        return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10);
+                return Number.isNaN(code) ? match : String.fromCodePoint(code);
+            }
+            return this.entities[entity] ?? match;
+        });
+    }
+}
+
+// Global verfügbar machen (window im Browser, self im Worker)
+self.HtmlElement = HtmlElement;
+self.HtmlExtractor = HtmlExtractor;
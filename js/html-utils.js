@@ -0,0 +1,20 @@
+// js/html-utils.js
+/**
+ * Gemeinsame Helfer für HTML-Ausgaben der Startseite und der Modulseiten.
+ */
+class HtmlUtils {
+    /**
+     * Escaped Text für Elementinhalte und Attributwerte in Template-Strings
+     */
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Global verfügbar machen
+window.HtmlUtils = HtmlUtils;
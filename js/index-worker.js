@@ -0,0 +1,54 @@
+// js/index-worker.js - Indexiert Module abseits des Hauptthreads
+//
+// Nachrichten vom Hauptthread: { type: 'index', jobId, modules: [{ id, title, category, path, hash }] }
+// Antworten: 'result' (ein analysiertes Modul), 'error', 'progress', 'complete'.
+// Abbrechen: ContentIndexer beendet den Worker per terminate().
+importScripts('html-extractor.js', 'german-analyzer.js', 'lab-values.js', 'content-analyzer.js');
+
+const analyzer = new ContentAnalyzer();
+const BATCH_SIZE = 5;
+const FETCH_TIMEOUT = 10000;
+
+self.onmessage = event => {
+    if (event.data?.type === 'index') {
+        indexModules(event.data);
+    }
+};
+
+async function indexModules({ jobId, modules }) {
+    let done = 0;
+
+    for (let i = 0; i < modules.length; i += BATCH_SIZE) {
+        const batch = modules.slice(i, i + BATCH_SIZE);
+
+        await Promise.all(batch.map(async module => {
+            try {
+                const html = await fetchModule(module.path);
+                const content = analyzer.analyzeHtml(html, module);
+                self.postMessage({ type: 'result', jobId, content });
+            } catch (error) {
+                self.postMessage({ type: 'error', jobId, moduleId: module.id, title: module.title, error: error.message });
+            }
+
+            done++;
+            self.postMessage({ type: 'progress', jobId, done, total: modules.length, title: module.title });
+        }));
+    }
+
+    self.postMessage({ type: 'complete', jobId });
+}
+
+async function fetchModule(path) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+    try {
+        const response = await fetch(path, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`Konnte ${path} nicht laden (${response.status})`);
+        }
+        return await response.text();
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
@@ -0,0 +1,350 @@
+// js/lab-values.js
+/**
+ * Laborwerte in Modultext und Tabellen: erkennt Angaben wie "Pathologisch ab 100 µmol/l",
+ * "< 2,6 mmol/l" oder "Ammoniak 250 - 500 µmol/l" als Fakt { Analyt, Bereich, Einheit }
+ * und rechnet Stoffmengen- und Massenkonzentrationen ineinander um (intern µmol/l).
+ * Reines JavaScript - läuft im Hauptthread und im Index-Worker.
+ */
+class LabValueExtractor {
+    constructor() {
+        // Analyte mit molarer Masse (g/mol) für die Umrechnung mg/dl <-> mmol/l.
+        // terms: Namen und Abkürzungen im Text; context: Krankheitsbilder, die den Analyten implizieren
+        this.analytes = {
+            glucose: {
+                label: 'Glukose', molarMass: 180.16, defaultUnit: 'mmol/l',
+                terms: ['glukose', 'glucose', 'blutzucker', 'bz'],
+                context: ['hypoglykämie', 'hyperglykämie', 'unterzuckerung']
+            },
+            ammonia: {
+                label: 'Ammoniak', molarMass: 17.03, defaultUnit: 'µmol/l',
+                terms: ['ammoniak', 'nh3', 'nh₃', 'nh4', 'nh₄'],
+                context: ['hyperammonämie']
+            },
+            lactate: {
+                label: 'Laktat', molarMass: 90.08, defaultUnit: 'mmol/l',
+                terms: ['laktat', 'lactat', 'lactate', 'milchsäure'],
+                context: ['laktatazidose']
+            },
+            hydroxybutyrate: {
+                label: '3-Hydroxybutyrat', molarMass: 104.1, defaultUnit: 'mmol/l',
+                terms: ['3-hydroxybutyrat', 'hydroxybutyrat', '3-oh-butyrat', 'beta-hydroxybutyrat', 'bhb', 'ketone', 'ketonkörper'],
+                context: ['ketoazidose', 'ketose']
+            },
+            bicarbonate: {
+                label: 'Bikarbonat', molarMass: 61.02, defaultUnit: 'mmol/l',
+                terms: ['bikarbonat', 'bicarbonat', 'hco3', 'hco₃', 'standardbikarbonat'],
+                context: ['azidose']
+            },
+            potassium: {
+                label: 'Kalium', molarMass: 39.1, defaultUnit: 'mmol/l',
+                terms: ['kalium', 'k+', 'k⁺'],
+                context: ['hypokaliämie', 'hyperkaliämie']
+            },
+            sodium: {
+                label: 'Natrium', molarMass: 22.99, defaultUnit: 'mmol/l',
+                terms: ['natrium', 'na+', 'na⁺'],
+                context: ['hyponatriämie', 'hypernatriämie']
+            },
+            arginine: {
+                label: 'Arginin', molarMass: 174.2, defaultUnit: 'µmol/l',
+                terms: ['arginin', 'arg'],
+                context: []
+            },
+            citrulline: {
+                label: 'Citrullin', molarMass: 175.19, defaultUnit: 'µmol/l',
+                terms: ['citrullin', 'cit'],
+                context: []
+            },
+            glutamine: {
+                label: 'Glutamin', molarMass: 146.15, defaultUnit: 'µmol/l',
+                terms: ['glutamin', 'gln'],
+                context: []
+            },
+            phenylalanine: {
+                label: 'Phenylalanin', molarMass: 165.19, defaultUnit: 'µmol/l',
+                terms: ['phenylalanin', 'phe'],
+                context: ['phenylketonurie', 'pku', 'hyperphenylalaninämie']
+            },
+            tyrosine: {
+                label: 'Tyrosin', molarMass: 181.19, defaultUnit: 'µmol/l',
+                terms: ['tyrosin', 'tyr'],
+                context: ['tyrosinämie']
+            },
+            leucine: {
+                label: 'Leucin', molarMass: 131.17, defaultUnit: 'µmol/l',
+                terms: ['leucin', 'leu'],
+                context: ['ahornsirupkrankheit', 'msud']
+            },
+            carnitine: {
+                label: 'Carnitin', molarMass: 161.2, defaultUnit: 'µmol/l',
+                terms: ['carnitin', 'freies carnitin'],
+                context: ['carnitinmangel']
+            }
+        };
+
+        // Faktor auf µmol/l (molar) bzw. auf mg/l (Masse, Umrechnung über die molare Masse)
+        this.units = {
+            'mol/l': { molar: 1e6 },
+            'mmol/l': { molar: 1000 },
+            'µmol/l': { molar: 1 },
+            'nmol/l': { molar: 0.001 },
+            'g/l': { mass: 1000 },
+            'g/dl': { mass: 10000 },
+            'mg/dl': { mass: 10 },
+            'mg/l': { mass: 1 },
+            'µg/dl': { mass: 0.01 },
+            'µg/ml': { mass: 1 }
+        };
+
+        // Vergleichsoperatoren im Text -> offene Bereichsgrenze
+        this.comparators = {
+            '<': { upper: true, inclusive: false },
+            'unter': { upper: true, inclusive: false },
+            'unterhalb': { upper: true, inclusive: false },
+            '≤': { upper: true, inclusive: true },
+            '<=': { upper: true, inclusive: true },
+            'bis': { upper: true, inclusive: true },
+            'maximal': { upper: true, inclusive: true },
+            'max.': { upper: true, inclusive: true },
+            '>': { upper: false, inclusive: false },
+            'über': { upper: false, inclusive: false },
+            'oberhalb': { upper: false, inclusive: false },
+            '≥': { upper: false, inclusive: true },
+            '>=': { upper: false, inclusive: true },
+            'ab': { upper: false, inclusive: true },
+            'mindestens': { upper: false, inclusive: true },
+            'min.': { upper: false, inclusive: true }
+        };
+
+        // Steht eines davon direkt hinter dem Wert, ist es eine Zubereitung ("6 g/L NaCl"), kein Laborwert
+        this.preparations = ['nacl', 'kcl', 'natriumbenzoat', 'na-benzoat', 'phenylbutyrat', 'carglumsäure', 'lösung', 'infusion'];
+
+        // Einzelwerte ("NH3 320 µmol/l") gelten als Treffer innerhalb dieser Toleranz
+        this.pointTolerance = 0.1;
+        // So weit vor einem Wert wird im selben Text nach dem Analyten gesucht
+        this.analyteLookbehind = 80;
+
+        const number = '(?<![\\p{L}\\p{N}.,])\\d+(?:[.,]\\d+)?';
+        const unit = '(?:[mµμun]?mol|[mµμ]?g)\\s*\\/\\s*(?:dl|ml|l)(?![\\p{L}\\/])';
+        const comparator = '<=|>=|≤|≥|<|>|(?<!\\p{L})(?:ab|über|unter|oberhalb|unterhalb|bis|mindestens|maximal|max\\.|min\\.)';
+
+        this.unitPattern = new RegExp(unit, 'iu');
+        this.factPattern = new RegExp(
+            `(?:(${comparator})\\s*)?(${number})(?:\\s*(?:-|–|—|bis)\\s*(${number}))?\\s*(${unit})`, 'giu'
+        );
+        this.unitlessPattern = new RegExp(`^\\s*(?:(${comparator})\\s*)?(${number})(?:\\s*(?:-|–|—|bis)\\s*(${number}))?\\s*$`, 'iu');
+
+        const allTerms = Object.values(this.analytes).flatMap(analyte => [...analyte.terms, ...analyte.context]);
+        this.termPattern = new RegExp(this.createTermSource(allTerms), 'giu');
+        this.preparationPattern = new RegExp(`^\\s*${this.createTermSource(this.preparations)}`, 'iu');
+        this.queryPattern = new RegExp(
+            `(${this.createTermSource(allTerms)})\\s*[:=]?\\s*(?:${comparator})?\\s*(${number})\\s*(${unit})?` +
+            `|(${number})\\s*(${unit})\\s+(${this.createTermSource(allTerms)})`, 'giu'
+        );
+    }
+
+    /**
+     * Fakten aus einem Text. context: umgebende Überschriften, falls der Analyt nicht im Text steht
+     */
+    extractFacts(text, context = '') {
+        const facts = [];
+        if (!text) return facts;
+
+        const contextAnalyte = this.findLastAnalyte(context);
+        let previousEnd = 0;
+        let previousAnalyte = null;
+
+        for (const match of text.matchAll(this.factPattern)) {
+            const before = text.slice(Math.max(previousEnd, match.index - this.analyteLookbehind), match.index);
+            const analyte = this.findLastAnalyte(before) || previousAnalyte || contextAnalyte;
+            previousEnd = match.index + match[0].length;
+            if (!analyte || this.preparationPattern.test(text.slice(previousEnd))) continue;
+
+            const fact = this.createFact(analyte, match[1], match[2], match[3], match[4], match[0]);
+            if (fact) facts.push(fact);
+            previousAnalyte = analyte;
+        }
+
+        return facts;
+    }
+
+    /**
+     * Fakten aus einer Tabelle - Einheit und Analyt dürfen in der Kopfzeile
+     * ("Ammoniak (µmol/l)") oder in der ersten Spalte stehen
+     */
+    extractTableFacts(headers, rows, context = '') {
+        const facts = [];
+
+        rows.forEach(row => {
+            row.forEach((cell, index) => {
+                const header = headers[index] || '';
+                const cellContext = `${context} ${row[0] || ''} ${header}`;
+
+                const cellFacts = this.extractFacts(cell, cellContext);
+                if (cellFacts.length > 0) {
+                    facts.push(...cellFacts);
+                    return;
+                }
+
+                const unit = header.match(this.unitPattern)?.[0];
+                const match = unit && cell.match(this.unitlessPattern);
+                const analyte = match && this.findLastAnalyte(cellContext);
+                if (!analyte) return;
+
+                const fact = this.createFact(analyte, match[1], match[2], match[3], unit, `${match[0].trim()} ${unit}`);
+                if (fact) facts.push(fact);
+            });
+        });
+
+        return facts;
+    }
+
+    /**
+     * Liest Analyt, Wert und Einheit aus einer Suchanfrage ("Ammoniak 320", "Glukose 2.1 mmol/l").
+     * Ohne Einheit gilt die übliche Einheit des Analyten.
+     */
+    parseQuery(text) {
+        const values = [];
+
+        for (const match of text.matchAll(this.queryPattern)) {
+            const analyte = this.findLastAnalyte(match[1] || match[6]);
+            const unit = this.normalizeUnit(match[3] || match[5] || this.analytes[analyte].defaultUnit);
+            const value = this.parseNumber(match[2] || match[4]);
+            const canonical = this.toCanonical(value, unit, analyte);
+            if (canonical === null) continue;
+
+            values.push({
+                analyte,
+                value,
+                unit,
+                canonical,
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+
+        return values;
+    }
+
+    /**
+     * Liegt der gesuchte Wert (µmol/l) im Bereich des Fakts?
+     */
+    matches(fact, analyte, canonical) {
+        if (fact.analyte !== analyte) return false;
+
+        if (fact.low !== null && fact.low === fact.high) {
+            return Math.abs(canonical - fact.low) <= fact.low * this.pointTolerance;
+        }
+        const aboveLow = fact.low === null || (fact.lowInclusive ? canonical >= fact.low : canonical > fact.low);
+        const belowHigh = fact.high === null || (fact.highInclusive ? canonical <= fact.high : canonical < fact.high);
+        return aboveLow && belowHigh;
+    }
+
+    createFact(analyte, comparatorText, firstText, secondText, unitText, text) {
+        const unit = this.normalizeUnit(unitText);
+        const first = this.toCanonical(this.parseNumber(firstText), unit, analyte);
+        if (first === null) return null;
+
+        const fact = {
+            analyte,
+            low: first,
+            high: first,
+            lowInclusive: true,
+            highInclusive: true,
+            unit,
+            text: text.replace(/\s+/g, ' ').trim()
+        };
+
+        if (secondText) {
+            fact.high = this.toCanonical(this.parseNumber(secondText), unit, analyte);
+        } else if (comparatorText) {
+            const comparator = this.comparators[comparatorText.toLowerCase()];
+            fact[comparator.upper ? 'low' : 'high'] = null;
+            fact[comparator.upper ? 'highInclusive' : 'lowInclusive'] = comparator.inclusive;
+        }
+
+        return fact;
+    }
+
+    /**
+     * Zuletzt genannter Analyt in einem Text (Name, Abkürzung oder Krankheitsbild)
+     */
+    findLastAnalyte(text) {
+        if (!text) return null;
+
+        const matches = Array.from(text.matchAll(this.termPattern));
+        if (matches.length === 0) return null;
+
+        const term = matches[matches.length - 1][0].toLowerCase();
+        return Object.keys(this.analytes).find(id => {
+            const analyte = this.analytes[id];
+            return [...analyte.terms, ...analyte.context].some(candidate => term.startsWith(candidate));
+        }) || null;
+    }
+
+    /**
+     * Umrechnung in µmol/l; Massenkonzentrationen über die molare Masse des Analyten
+     */
+    toCanonical(value, unit, analyte) {
+        const factor = this.units[unit];
+        if (!factor || Number.isNaN(value)) return null;
+
+        if (factor.molar) return value * factor.molar;
+        return (value * factor.mass / this.analytes[analyte].molarMass) * 1000;
+    }
+
+    fromCanonical(canonical, unit, analyte) {
+        const factor = this.units[unit];
+        if (factor.molar) return canonical / factor.molar;
+        return (canonical / 1000) * this.analytes[analyte].molarMass / factor.mass;
+    }
+
+    /**
+     * Bereich eines Fakts in einer anderen Einheit, z.B. "< 47 mg/dl"
+     */
+    formatRange(fact, unit = fact.unit) {
+        const format = canonical => this.formatNumber(this.fromCanonical(canonical, unit, fact.analyte));
+
+        if (fact.low !== null && fact.high !== null) {
+            return fact.low === fact.high
+                ? `${format(fact.low)} ${unit}`
+                : `${format(fact.low)} - ${format(fact.high)} ${unit}`;
+        }
+        if (fact.low === null) {
+            return `${fact.highInclusive ? '≤' : '<'} ${format(fact.high)} ${unit}`;
+        }
+        return `${fact.lowInclusive ? '≥' : '>'} ${format(fact.low)} ${unit}`;
+    }
+
+    formatNumber(value) {
+        const digits = value >= 100 ? 0 : value >= 10 ? 1 : 2;
+        return Number(value.toFixed(digits)).toLocaleString('de-DE');
+    }
+
+    /**
+     * "2,6" und "2.6" als Dezimalzahl, "1.000" als Tausender
+     */
+    parseNumber(text) {
+        if (/^\d{1,3}(\.\d{3})+$/.test(text)) {
+            return parseFloat(text.replace(/\./g, ''));
+        }
+        return parseFloat(text.replace(',', '.'));
+    }
+
+    normalizeUnit(unit) {
+        return unit.toLowerCase().replace(/\s+/g, '').replace(/^[μu](?=mol)/, 'µ').replace(/^μ(?=g)/, 'µ');
+    }
+
+    /**
+     * Regex-Quelle für Begriffe am Wortanfang; kurze Abkürzungen nur als ganzes Wort
+     */
+    createTermSource(terms) {
+        return `(?<![\\p{L}\\p{N}])(?:${terms
+            .sort((a, b) => b.length - a.length)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + (term.length > 4 ? '\\p{L}*' : '(?![\\p{L}\\p{N}])'))
+            .join('|')})`;
+    }
+}
+
+// Global verfügbar machen (window im Browser, self im Worker)
+self.LabValueExtractor = LabValueExtractor;
@@ -0,0 +1,81 @@
+// js/medical-thesaurus.js
+/**
+ * Thesaurus für Abkürzungen, Synonyme, englische Namen und Gensymbole (data/thesaurus.json).
+ * ContentIndexer.search() ergänzt damit die Suchanfrage um gleichbedeutende Begriffe.
+ */
+class MedicalThesaurus {
+    constructor(options = {}) {
+        this.path = options.path || '/metabolic-base/data/thesaurus.json';
+        this.analyzer = options.analyzer || new ContentAnalyzer();
+        this.termFields = ['abbreviations', 'synonyms', 'english', 'genes'];
+        this.version = null;
+        this.groups = [];
+
+        this.ready = this.load();
+    }
+
+    /**
+     * Lädt die Thesaurus-Datei; ohne sie wird ohne Synonyme gesucht
+     */
+    async load() {
+        try {
+            const response = await fetch(this.path);
+            if (!response.ok) throw new Error(`HTTP-Fehler: ${response.status}`);
+
+            this.setData(await response.json());
+            console.log(`📖 Thesaurus v${this.version} geladen: ${this.groups.length} Begriffsgruppen`);
+        } catch (error) {
+            console.warn('⚠️ Thesaurus konnte nicht geladen werden - Suche ohne Synonyme:', error);
+        }
+    }
+
+    /**
+     * Übernimmt die Begriffsgruppen und analysiert jeden Begriff wie den Modultext
+     */
+    setData(data) {
+        this.version = data.version;
+        this.groups = (data.groups || []).map(group => {
+            const terms = [group.label, ...this.termFields.flatMap(field => group[field] || [])];
+            const entries = new Map();
+
+            terms.forEach(term => {
+                const keys = this.analyzer.extractTermKeys(term);
+                const signature = keys.join(' ');
+                if (keys.length > 0 && !entries.has(signature)) {
+                    entries.set(signature, { term, keys });
+                }
+            });
+
+            return { id: group.id, label: group.label, terms: Array.from(entries.values()) };
+        });
+    }
+
+    /**
+     * Sucht Gruppen, von denen ein Begriff vollständig in der Anfrage steht,
+     * und liefert deren übrige Begriffe als Erweiterung der Anfrage
+     */
+    expand(query) {
+        const queryKeys = new Set(this.analyzer.extractKeywords(query));
+        const isInQuery = entry => entry.keys.every(key => queryKeys.has(key));
+        const expansions = [];
+
+        this.groups.forEach(group => {
+            const matched = group.terms.find(isInQuery);
+            if (!matched) return;
+
+            group.terms
+                .filter(entry => !isInQuery(entry))
+                .forEach(entry => expansions.push({
+                    groupId: group.id,
+                    term: entry.term,
+                    keys: entry.keys,
+                    matchedTerm: matched.term
+                }));
+        });
+
+        return expansions;
+    }
+}
+
+// Global verfügbar machen
+window.MedicalThesaurus = MedicalThesaurus;
@@ -0,0 +1,204 @@
+// js/module-navigation.js
+class ModuleNavigation {
+    constructor(options = {}) {
+        // Reihenfolge der Kategorien wie auf der Startseite
+        this.categoryOrder = [
+            'notfaelle', 'befundung', 'differentialdiagnostik', 'aminosaeuren',
+            'kohlenhydrate', 'carnitin', 'energie', 'lipide',
+            'purin-pyrimidin', 'lysosomal', 'cdg', 'sonstige'
+        ];
+
+        this.autoDiscovery = options.autoDiscovery || new AutoDiscovery();
+        this.registry = null;
+        this.modules = [];
+        this.currentIndex = -1;
+
+        // Erst nach ready sind vorheriges/nächstes Modul bekannt
+        this.ready = this.loadRegistry();
+    }
+
+    /**
+     * Lädt die von AutoDiscovery gespeicherte Registry
+     */
+    async loadRegistry() {
+        await this.autoDiscovery.ready;
+        this.registry = this.autoDiscovery.registry;
+        this.modules = this.getOrderedModules();
+        this.currentIndex = this.findCurrentModuleIndex();
+    }
+
+    /**
+     * Alle Module in Kategorie-Reihenfolge als flache Liste
+     */
+    getOrderedModules() {
+        if (!this.registry?.categories) return [];
+
+        const knownCategories = Object.keys(this.registry.categories)
+            .filter(category => !this.categoryOrder.includes(category));
+
+        return [...this.categoryOrder, ...knownCategories]
+            .flatMap(category => this.registry.categories[category] || []);
+    }
+
+    /**
+     * Sucht das aktuell geöffnete Modul anhand des Pfads
+     */
+    findCurrentModuleIndex() {
+        const currentPath = this.normalizePath(window.location.pathname);
+        return this.modules.findIndex(module => this.normalizePath(module.path) === currentPath);
+    }
+
+    normalizePath(path) {
+        try {
+            return decodeURIComponent(new URL(path, window.location.href).pathname);
+        } catch {
+            return path;
+        }
+    }
+
+    getCurrentModule() {
+        return this.modules[this.currentIndex] || null;
+    }
+
+    getPreviousModule() {
+        return this.currentIndex > 0 ? this.modules[this.currentIndex - 1] : null;
+    }
+
+    getNextModule() {
+        return this.currentIndex >= 0 && this.currentIndex < this.modules.length - 1
+            ? this.modules[this.currentIndex + 1]
+            : null;
+    }
+
+    /**
+     * Kategorie des aktuellen Moduls, notfalls aus dem Ordnernamen abgeleitet
+     */
+    getCurrentCategory() {
+        const current = this.getCurrentModule();
+        if (current) return current.category;
+
+        const folder = window.location.pathname.split('/').slice(-2, -1)[0] || '';
+        return folder.replace(/^\d+-/, '');
+    }
+
+    /**
+     * Link zurück zur Startseite, direkt zur Kategorie des Moduls
+     */
+    getOverviewUrl() {
+        const basePath = window.location.pathname.replace(/modules\/.*$/, '');
+        return `${basePath}index.html#kategorie-${this.getCurrentCategory()}`;
+    }
+
+    goToPrevious() {
+        const previous = this.getPreviousModule();
+        if (previous) window.location.href = previous.path;
+    }
+
+    goToNext() {
+        const next = this.getNextModule();
+        if (next) window.location.href = next.path;
+    }
+
+    /**
+     * Öffnet ein Sprungziel aus der Suche (#anker?hl=begriff1,begriff2):
+     * umschließende Karten aufklappen, hinscrollen und Suchbegriffe hervorheben
+     */
+    revealDeepLink() {
+        this.clearHighlights();
+
+        const anchor = decodeURIComponent(window.location.hash.slice(1));
+        const target = anchor ? document.getElementById(anchor) : null;
+        if (!target) return false;
+
+        for (let item = target.closest('.emergency-item'); item; item = item.parentElement?.closest('.emergency-item')) {
+            item.classList.add('active');
+        }
+
+        const terms = (new URLSearchParams(window.location.search).get('hl') || '')
+            .split(/(?<!\d),|,(?!\d)/) // Dezimalkomma in Laborwerten ("< 2,6 mmol/l") nicht trennen
+            .map(term => term.trim())
+            .filter(Boolean);
+        this.highlightTerms(target, terms);
+
+        target.classList.add('deep-link-target');
+        // Erst nach der Aufklapp-Animation steht die endgültige Position fest
+        setTimeout(() => target.scrollIntoView({ behavior: 'smooth', block: 'start' }), 350);
+        return true;
+    }
+
+    /**
+     * Markiert Suchbegriffe (normalisierte Stämme aus dem Suchindex) in der Originalschreibweise
+     */
+    highlightTerms(root, terms) {
+        if (terms.length === 0) return;
+
+        const analyzer = new GermanAnalyzer();
+        const pattern = new RegExp(terms.map(term => analyzer.createTermPattern(term).source).join('|'), 'gi');
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement.closest('script, style, textarea')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+        textNodes.forEach(node => {
+            const matches = Array.from(node.textContent.matchAll(pattern));
+            if (matches.length === 0) return;
+
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            matches.forEach(match => {
+                fragment.append(node.textContent.slice(lastIndex, match.index));
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.textContent = match[0];
+                fragment.append(mark);
+                lastIndex = match.index + match[0].length;
+            });
+            fragment.append(node.textContent.slice(lastIndex));
+            node.replaceWith(fragment);
+        });
+    }
+
+    clearHighlights() {
+        document.querySelectorAll('mark.search-highlight').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(mark.textContent);
+            parent.normalize();
+        });
+        document.querySelectorAll('.deep-link-target').forEach(element => {
+            element.classList.remove('deep-link-target');
+        });
+    }
+
+    /**
+     * Aktualisiert die Footer-Navigation des Moduls
+     */
+    render({ previousButton, nextButton, overviewLink }) {
+        const previous = this.getPreviousModule();
+        const next = this.getNextModule();
+
+        if (previousButton) {
+            previousButton.disabled = !previous;
+            previousButton.title = previous ? previous.title : 'Kein vorheriges Modul';
+        }
+
+        if (nextButton) {
+            nextButton.disabled = !next;
+            nextButton.title = next ? next.title : 'Kein weiteres Modul';
+        }
+
+        if (overviewLink) {
+            overviewLink.href = this.getOverviewUrl();
+        }
+
+        if (this.currentIndex < 0) {
+            console.warn('⚠️ Modul nicht in der Registry gefunden - Startseite einmal öffnen, um Module zu erkennen');
+        }
+    }
+}
+
+// Global verfügbar machen
+window.ModuleNavigation = ModuleNavigation;
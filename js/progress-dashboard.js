@@ -0,0 +1,290 @@
+// js/progress-dashboard.js
+/**
+ * Ansicht "Fortschritt" der Startseite (?view=progress): Abschluss je Kategorie, Lernzeit,
+ * letzter Aufruf und Lesezeit (aus den Wortzahlen des Suchindex) je Modul sowie eine Liste
+ * "Weiter, wo Sie aufgehört haben". Der Status jedes Moduls lässt sich hier direkt ändern.
+ */
+class ProgressDashboard {
+    constructor(options = {}) {
+        // Gemeinsame Instanzen der Startseite verwenden, falls übergeben
+        this.contentIndexer = options.contentIndexer || new ContentIndexer();
+        this.autoDiscovery = options.autoDiscovery || new AutoDiscovery();
+        this.progressTracker = options.progressTracker || new ProgressTracker();
+        this.categories = options.categories || {}; // Schlüssel -> { title, icon }, in Anzeigereihenfolge
+
+        this.continueLimit = 5;
+        this.openCategories = new Set(); // aufgeklappte Kategorien
+
+        this.initializeUI();
+    }
+
+    /**
+     * Initialisiert Umschalter und Inhalt
+     */
+    initializeUI() {
+        this.container = document.getElementById('progressDashboard');
+        this.toggleButton = document.getElementById('progressDashboardToggle');
+        this.content = document.getElementById('progressDashboardContent');
+
+        if (!this.container) {
+            console.warn('⚠️ Fortschrittsansicht nicht gefunden');
+            return;
+        }
+
+        this.toggleButton?.addEventListener('click', () => this.toggle());
+        this.content.addEventListener('change', (e) => {
+            const select = e.target.closest('.progress-status-select');
+            if (select) this.progressTracker.setStatus(select.dataset.moduleId, select.value);
+        });
+        this.content.addEventListener('toggle', (e) => {
+            const category = e.target.dataset?.category;
+            if (!category) return;
+            e.target.open ? this.openCategories.add(category) : this.openCategories.delete(category);
+        }, true);
+
+        // Fortschritt, Lernzeiten (auch aus Modulseiten in anderen Tabs), Sync und Indexierung
+        const refresh = () => {
+            if (this.isOpen()) this.render();
+        };
+        window.addEventListener('progresschange', refresh);
+        window.addEventListener('userdataapplied', refresh);
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.progressTracker.activityKey || e.key?.startsWith('progress_')) refresh();
+        });
+        window.addEventListener('indexprogress', (e) => {
+            if (e.detail.state === 'done') refresh();
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.container) && !this.container.hidden;
+    }
+
+    /**
+     * Blendet die Ansicht ein oder aus
+     */
+    async toggle(open = !this.isOpen()) {
+        if (!this.container) return;
+
+        this.container.hidden = !open;
+        this.toggleButton?.setAttribute('aria-expanded', String(open));
+        // Der Router hält die geöffnete Ansicht in der Adresse (?view=progress)
+        window.dispatchEvent(new CustomEvent('viewchange', { detail: { view: 'progress', open } }));
+        if (!open) return;
+
+        this.content.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+        await this.contentIndexer.ready;
+        this.render();
+    }
+
+    /**
+     * Alle Module mit Status, Lernzeit und Lesezeit, nach Kategorie gruppiert
+     */
+    getModuleStats() {
+        const activity = this.progressTracker.loadActivity();
+        const registry = this.autoDiscovery.registry;
+        const knownCategories = Object.keys(registry.categories || {})
+            .filter(category => !this.categories[category]);
+
+        return [...Object.keys(this.categories), ...knownCategories]
+            .map(category => ({
+                key: category,
+                info: this.categories[category] || { title: category, icon: '📚' },
+                modules: (registry.categories?.[category] || []).map(module => ({
+                    module,
+                    status: this.progressTracker.getStatus(module.id),
+                    activity: { timeSpent: 0, visits: 0, lastOpened: null, ...activity[module.id] },
+                    readingTime: this.contentIndexer.searchIndex.index[module.id]?.readingTime || null
+                }))
+            }))
+            .filter(category => category.modules.length > 0);
+    }
+
+    /**
+     * Anzahl je Status, Lernzeit und verbleibende Lesezeit (nicht abgeschlossene Module)
+     */
+    summarize(moduleStats) {
+        const summary = { total: moduleStats.length, timeSpent: 0, remainingReadingTime: 0 };
+        Object.keys(this.progressTracker.statuses).forEach(status => { summary[status] = 0; });
+
+        moduleStats.forEach(({ status, activity, readingTime }) => {
+            summary[status]++;
+            summary.timeSpent += activity.timeSpent;
+            if (status !== 'completed') summary.remainingReadingTime += readingTime || 0;
+        });
+
+        summary.percent = summary.total ? Math.round((summary.completed / summary.total) * 100) : 0;
+        return summary;
+    }
+
+    render() {
+        if (!this.content) return;
+
+        const categories = this.getModuleStats();
+        const allModules = categories.flatMap(category => category.modules);
+
+        if (allModules.length === 0) {
+            this.content.innerHTML = `
+                <div class="empty-state">
+                    <div class="icon" style="font-size: 3rem; margin-bottom: 1rem;">📈</div>
+                    <p style="color: var(--text-secondary);">Noch keine Module gefunden.</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.content.innerHTML = `
+            ${this.createSummary(this.summarize(allModules))}
+            ${this.createContinueList(allModules)}
+            <h4 class="progress-section-title">Nach Kategorie</h4>
+            <div class="progress-categories">
+                ${categories.map(category => this.createCategory(category)).join('')}
+            </div>
+        `;
+    }
+
+    createSummary(summary) {
+        return `
+            <div class="progress-summary">
+                <div class="progress-stat">
+                    <span class="progress-stat-value">${summary.percent}%</span>
+                    <span class="progress-stat-label">abgeschlossen (${summary.completed} von ${summary.total})</span>
+                </div>
+                <div class="progress-stat">
+                    <span class="progress-stat-value">${summary['in-progress']}</span>
+                    <span class="progress-stat-label">in Bearbeitung</span>
+                </div>
+                <div class="progress-stat">
+                    <span class="progress-stat-value">${summary['needs-review']}</span>
+                    <span class="progress-stat-label">zu wiederholen</span>
+                </div>
+                <div class="progress-stat">
+                    <span class="progress-stat-value">${this.formatDuration(summary.timeSpent)}</span>
+                    <span class="progress-stat-label">Lernzeit</span>
+                </div>
+                <div class="progress-stat">
+                    <span class="progress-stat-value">${this.formatDuration(summary.remainingReadingTime * 60)}</span>
+                    <span class="progress-stat-label">Lesezeit offener Module</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Zuletzt geöffnete, noch nicht abgeschlossene Module
+     */
+    createContinueList(allModules) {
+        const recent = allModules
+            .filter(({ status, activity }) => status !== 'completed' && activity.lastOpened)
+            .sort((a, b) => b.activity.lastOpened - a.activity.lastOpened)
+            .slice(0, this.continueLimit);
+
+        if (recent.length === 0) return '';
+
+        return `
+            <h4 class="progress-section-title">▶️ Weiter, wo Sie aufgehört haben</h4>
+            <ul class="progress-continue">
+                ${recent.map(stats => `
+                    <li>
+                        <a href="${HtmlUtils.escape(stats.module.path)}" target="_blank">${HtmlUtils.escape(stats.module.title)}</a>
+                        ${this.createStatusBadge(stats.status)}
+                        <span class="progress-meta">
+                            ${this.formatDate(stats.activity.lastOpened)} · ${this.formatDuration(stats.activity.timeSpent)}${stats.readingTime ? ` von ca. ${this.formatDuration(stats.readingTime * 60)}` : ''}
+                        </span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Kategorie mit Fortschrittsbalken; aufgeklappt eine Tabelle aller Module
+     */
+    createCategory({ key, info, modules }) {
+        const summary = this.summarize(modules);
+        const share = count => (count / summary.total) * 100;
+        const details = [
+            summary['in-progress'] ? `${summary['in-progress']} in Bearbeitung` : '',
+            summary['needs-review'] ? `${summary['needs-review']} zu wiederholen` : '',
+            summary.remainingReadingTime ? `noch ca. ${this.formatDuration(summary.remainingReadingTime * 60)} Lesezeit` : ''
+        ].filter(Boolean);
+
+        return `
+            <details class="progress-category" data-category="${HtmlUtils.escape(key)}" ${this.openCategories.has(key) ? 'open' : ''}>
+                <summary>
+                    <span class="progress-category-title">${info.icon} ${HtmlUtils.escape(info.title)}</span>
+                    <span class="progress-category-bar" role="img" aria-label="${summary.completed} von ${summary.total} abgeschlossen">
+                        <span class="completed" style="width: ${share(summary.completed)}%"></span>
+                        <span class="needs-review" style="width: ${share(summary['needs-review'])}%"></span>
+                        <span class="in-progress" style="width: ${share(summary['in-progress'])}%"></span>
+                    </span>
+                    <span class="progress-meta">
+                        ${summary.completed}/${summary.total} abgeschlossen${details.length > 0 ? ' · ' + details.join(' · ') : ''}
+                    </span>
+                </summary>
+                <div class="table-scroll">
+                    <table class="progress-module-table">
+                        <thead>
+                            <tr><th>Modul</th><th>Status</th><th>Lernzeit</th><th>Lesezeit</th><th>Zuletzt geöffnet</th></tr>
+                        </thead>
+                        <tbody>
+                            ${modules.map(stats => this.createModuleRow(stats)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </details>
+        `;
+    }
+
+    createModuleRow({ module, status, activity, readingTime }) {
+        const options = Object.entries(this.progressTracker.statuses).map(([value, info]) => `
+            <option value="${value}" ${value === status ? 'selected' : ''}>${info.icon} ${info.label}</option>
+        `).join('');
+
+        return `
+            <tr class="status-${status}">
+                <th scope="row"><a href="${HtmlUtils.escape(module.path)}" target="_blank">${HtmlUtils.escape(module.title)}</a></th>
+                <td>
+                    <select class="progress-status-select" data-module-id="${HtmlUtils.escape(module.id)}"
+                            aria-label="Status von ${HtmlUtils.escape(module.title)}">${options}</select>
+                </td>
+                <td>${activity.timeSpent ? this.formatDuration(activity.timeSpent) : '–'}</td>
+                <td>${readingTime ? `ca. ${this.formatDuration(readingTime * 60)}` : '–'}</td>
+                <td>${activity.lastOpened ? this.formatDate(activity.lastOpened) : 'Nie'}</td>
+            </tr>
+        `;
+    }
+
+    createStatusBadge(status) {
+        const info = this.progressTracker.getStatusInfo(status);
+        return `<span class="progress-status-badge status-${status}">${info.icon} ${info.label}</span>`;
+    }
+
+    /**
+     * Dauer in Sekunden als "12 Min." bzw. "1 Std. 5 Min."
+     */
+    formatDuration(seconds) {
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 1) return seconds > 0 ? '< 1 Min.' : '0 Min.';
+        if (minutes < 60) return `${minutes} Min.`;
+
+        const rest = minutes % 60;
+        return `${Math.floor(minutes / 60)} Std.${rest ? ` ${rest} Min.` : ''}`;
+    }
+
+    /**
+     * Datum relativ ("heute", "vor 3 Tagen") bis zu einer Woche, danach als Datum
+     */
+    formatDate(timestamp) {
+        const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        const days = Math.round((startOfDay(new Date()) - startOfDay(new Date(timestamp))) / 86400000);
+
+        if (days <= 0) return 'heute';
+        if (days === 1) return 'gestern';
+        if (days < 7) return `vor ${days} Tagen`;
+        return new Date(timestamp).toLocaleDateString('de-DE');
+    }
+}
+
+// Global verfügbar machen
+window.ProgressDashboard = ProgressDashboard;
@@ -0,0 +1,172 @@
+// js/progress-tracker.js
+/**
+ * Lernfortschritt je Modul: der Status liegt wie bisher in localStorage unter "progress_<id>"
+ * (jetzt auch "in-progress" und "needs-review"), Lernzeit, Aufrufe und letzter Aufruf unter
+ * "moduleActivity". Auf Modulseiten misst startSession() die Zeit, in der die Seite sichtbar ist.
+ * Der Zeitpunkt jeder Statusänderung steht unter "progressUpdatedAt" - die Synchronisation
+ * übernimmt je Modul den zuletzt gesetzten Status.
+ */
+class ProgressTracker {
+    constructor(options = {}) {
+        this.activityKey = 'moduleActivity';
+        this.statusTimesKey = 'progressUpdatedAt';
+        this.statuses = {
+            'not-started': { label: 'Nicht begonnen', icon: '○' },
+            'in-progress': { label: 'In Bearbeitung', icon: '◐' },
+            'needs-review': { label: 'Wiederholen', icon: '↻' },
+            'completed': { label: 'Abgeschlossen', icon: '✓' }
+        };
+
+        // Ohne Scrollen, Tippen oder Klicken zählt eine offene Seite nach 5 Minuten nicht mehr als Lernzeit
+        this.idleTimeoutMs = (options.idleTimeoutMinutes || 5) * 60000;
+        this.flushIntervalMs = 60000;
+        this.session = null;
+    }
+
+    getStatus(moduleId) {
+        const status = localStorage.getItem(`progress_${moduleId}`);
+        return this.statuses[status] ? status : 'not-started';
+    }
+
+    getStatusInfo(status) {
+        return this.statuses[status] || this.statuses['not-started'];
+    }
+
+    /**
+     * Setzt den Status; "progresschange" aktualisiert Startseite und Fortschrittsansicht
+     */
+    setStatus(moduleId, status) {
+        if (!this.statuses[status]) {
+            throw new Error(`Unbekannter Fortschritt: ${status}`);
+        }
+
+        localStorage.setItem(`progress_${moduleId}`, status);
+        this.recordStatusTime(moduleId);
+        window.dispatchEvent(new CustomEvent('progresschange', { detail: { moduleId, status } }));
+    }
+
+    /**
+     * Zeitpunkte der letzten Statusänderung: { moduleId: ms }
+     */
+    loadStatusTimes() {
+        try {
+            const times = JSON.parse(localStorage.getItem(this.statusTimesKey) || '{}');
+            return times && typeof times === 'object' ? times : {};
+        } catch (error) {
+            console.warn('⚠️ Zeitpunkte der Statusänderungen konnten nicht geladen werden:', error);
+            return {};
+        }
+    }
+
+    recordStatusTime(moduleId) {
+        const times = this.loadStatusTimes();
+        times[moduleId] = Date.now();
+
+        try {
+            localStorage.setItem(this.statusTimesKey, JSON.stringify(times));
+        } catch (error) {
+            console.warn('⚠️ Zeitpunkt der Statusänderung konnte nicht gespeichert werden:', error);
+        }
+    }
+
+    /**
+     * Lernzeiten aller Module: { moduleId: { timeSpent (Sekunden), visits, lastOpened (ms) } }
+     */
+    loadActivity() {
+        try {
+            const activity = JSON.parse(localStorage.getItem(this.activityKey) || '{}');
+            return activity && typeof activity === 'object' ? activity : {};
+        } catch (error) {
+            console.warn('⚠️ Lernzeiten konnten nicht geladen werden:', error);
+            return {};
+        }
+    }
+
+    getActivity(moduleId) {
+        return { timeSpent: 0, visits: 0, lastOpened: null, ...this.loadActivity()[moduleId] };
+    }
+
+    updateActivity(moduleId, update) {
+        const activity = this.loadActivity();
+        activity[moduleId] = update({ timeSpent: 0, visits: 0, lastOpened: null, ...activity[moduleId] });
+
+        try {
+            localStorage.setItem(this.activityKey, JSON.stringify(activity));
+        } catch (error) {
+            console.warn('⚠️ Lernzeit konnte nicht gespeichert werden:', error);
+        }
+    }
+
+    /**
+     * Auf einer Modulseite: Aufruf zählen, nicht begonnene Module auf "in Bearbeitung" setzen und
+     * die sichtbare Zeit messen (gespeichert beim Verstecken, beim Verlassen und jede Minute)
+     */
+    startSession(moduleId) {
+        if (!moduleId || this.session) return;
+
+        this.session = { moduleId, visibleSince: null, lastInteraction: Date.now() };
+        this.updateActivity(moduleId, entry => ({ ...entry, visits: entry.visits + 1, lastOpened: Date.now() }));
+        if (this.getStatus(moduleId) === 'not-started') {
+            this.setStatus(moduleId, 'in-progress');
+        }
+
+        this.resumeSession();
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.flushSession();
+                return;
+            }
+            // Zurück auf der Seite zählt als Aktivität
+            this.session.lastInteraction = Date.now();
+            this.resumeSession();
+        });
+        window.addEventListener('pagehide', () => this.flushSession());
+        ['pointerdown', 'keydown', 'scroll', 'touchstart'].forEach(type => {
+            window.addEventListener(type, () => this.markInteraction(), { passive: true });
+        });
+        setInterval(() => {
+            if (document.hidden) return;
+            this.flushSession();
+            this.resumeSession();
+        }, this.flushIntervalMs);
+
+        console.log(`📈 Lernzeit wird erfasst: ${moduleId}`);
+    }
+
+    resumeSession() {
+        if (!this.session || document.hidden) return;
+        this.session.visibleSince = Date.now();
+    }
+
+    /**
+     * Nach einer Pause die Leerlaufzeit verwerfen und neu zu zählen beginnen
+     */
+    markInteraction() {
+        if (!this.session) return;
+
+        const now = Date.now();
+        if (now - this.session.lastInteraction > this.idleTimeoutMs) {
+            this.flushSession();
+            this.resumeSession();
+        }
+        this.session.lastInteraction = now;
+    }
+
+    /**
+     * Schreibt die seit dem letzten Speichern sichtbare Zeit gut, höchstens bis zum Leerlauf-Limit
+     */
+    flushSession() {
+        if (!this.session?.visibleSince) return;
+
+        const end = Math.min(Date.now(), this.session.lastInteraction + this.idleTimeoutMs);
+        const seconds = Math.round(Math.max(0, end - this.session.visibleSince) / 1000);
+        this.session.visibleSince = null;
+
+        if (seconds > 0) {
+            this.updateActivity(this.session.moduleId, entry => ({ ...entry, timeSpent: entry.timeSpent + seconds }));
+        }
+    }
+}
+
+// Global verfügbar machen
+window.ProgressTracker = ProgressTracker;
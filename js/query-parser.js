@@ -0,0 +1,192 @@
+// js/query-parser.js
+/**
+ * Parser für die Suchsyntax: "Phrase", -Ausschluss, OR und Feldfilter
+ * (kategorie:, titel:, tabelle:, notiz:). Andere Präfixe wie „Therapie:“ bleiben normaler Suchtext.
+ *
+ * Leerzeichen verknüpfen mit UND, OR bindet stärker:
+ * Ketone OR Laktat niedrig  ->  (Ketone oder Laktat) und niedrig
+ *
+ * Laborwerte ("Ammoniak 320", "Glukose 2,1 mmol/l") werden zu einer Klausel vom Typ 'value'
+ * mit labValue { analyte, value, unit, canonical } zusammengefasst.
+ *
+ * Ergebnis: { input, groups: [{ clauses }], exclusions, isSimple, errors: [{ message, start, end }] }
+ * Eine Klausel ist { type: 'term' | 'phrase' | 'value', value, field, negated, start, end }.
+ */
+class QueryParser {
+    constructor(options = {}) {
+        this.labValues = options.labValues || new LabValueExtractor();
+
+        // Feldname in der Anfrage -> Feld im Index
+        this.fields = {
+            kategorie: 'category',
+            titel: 'title',
+            tabelle: 'table',
+            notiz: 'note'
+        };
+    }
+
+    parse(input = '') {
+        const errors = [];
+        const tokens = this.mergeLabValues(input, this.tokenize(input, errors));
+        const groups = [];
+        const exclusions = [];
+        let pendingOr = null;
+
+        tokens.forEach((token, index) => {
+            if (token.type === 'or') {
+                const previous = tokens[index - 1];
+                if (!previous || previous.type === 'or' || index === tokens.length - 1) {
+                    errors.push(this.createError('OR braucht auf beiden Seiten einen Suchbegriff', token));
+                } else {
+                    pendingOr = token;
+                }
+                return;
+            }
+
+            if (pendingOr) {
+                const group = groups[groups.length - 1];
+                if (token.negated || !group) {
+                    errors.push(this.createError('Ausschlüsse (-) sind innerhalb von OR nicht möglich', token));
+                } else {
+                    group.clauses.push(token);
+                }
+                pendingOr = null;
+                return;
+            }
+
+            if (token.negated) {
+                // Ein Ausschluss vor OR bildet keine Gruppe
+                if (tokens[index + 1]?.type === 'or') {
+                    errors.push(this.createError('Ausschlüsse (-) sind innerhalb von OR nicht möglich', token));
+                }
+                exclusions.push(token);
+            } else {
+                groups.push({ clauses: [token] });
+            }
+        });
+
+        if (errors.length === 0 && groups.length === 0 && exclusions.length > 0) {
+            errors.push(this.createError('Mindestens ein Suchbegriff ohne - ist nötig', exclusions[0]));
+        }
+
+        return {
+            input,
+            groups,
+            exclusions,
+            // Reine Wortsuche ohne Operatoren, Phrasen und Felder
+            isSimple: exclusions.length === 0 &&
+                groups.every(group => group.clauses.length === 1 &&
+                    group.clauses[0].type === 'term' && !group.clauses[0].field),
+            errors
+        };
+    }
+
+    /**
+     * Zerlegt die Eingabe in Klauseln und OR-Operatoren
+     */
+    tokenize(input, errors) {
+        const tokens = [];
+        let position = 0;
+
+        const isSpace = index => index >= input.length || /\s/.test(input[index]);
+
+        while (position < input.length) {
+            if (isSpace(position)) {
+                position++;
+                continue;
+            }
+
+            const start = position;
+
+            // OR nur als eigenes, großgeschriebenes Wort
+            if (input.startsWith('OR', position) && isSpace(position + 2)) {
+                tokens.push({ type: 'or', start, end: position + 2 });
+                position += 2;
+                continue;
+            }
+
+            const clause = { type: 'term', value: '', field: null, negated: false, start, end: start };
+
+            if (input[position] === '-') {
+                clause.negated = true;
+                position++;
+                if (isSpace(position)) {
+                    errors.push({ message: 'Nach - fehlt der auszuschließende Begriff', start, end: position });
+                    continue;
+                }
+            }
+
+            const fieldMatch = input.slice(position).match(/^([a-zA-ZäöüÄÖÜ]+):/);
+            const fieldName = fieldMatch?.[1].toLowerCase();
+            if (fieldMatch && this.fields[fieldName]) {
+                const fieldEnd = position + fieldMatch[0].length;
+
+                if (isSpace(fieldEnd)) {
+                    errors.push({ message: `Nach „${fieldName}:“ fehlt ein Suchbegriff`, start, end: fieldEnd });
+                    position = fieldEnd;
+                    continue;
+                }
+
+                clause.field = this.fields[fieldName];
+                position = fieldEnd;
+            }
+            const valueStart = position;
+
+            if (input[position] === '"') {
+                const closing = input.indexOf('"', position + 1);
+                if (closing === -1) {
+                    errors.push({ message: 'Anführungszeichen nicht geschlossen', start: position, end: input.length });
+                    clause.value = input.slice(position + 1).trim();
+                    position = input.length;
+                } else {
+                    clause.value = input.slice(position + 1, closing).trim();
+                    position = closing + 1;
+                    if (!clause.value) {
+                        errors.push({ message: 'Leere Phrase', start, end: position });
+                    }
+                }
+                clause.type = 'phrase';
+            } else {
+                while (!isSpace(position) && input[position] !== '"') position++;
+                clause.value = input.slice(valueStart, position);
+            }
+
+            clause.end = position;
+            if (clause.value) tokens.push(clause);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Ersetzt die Wörter einer Laborwert-Angabe durch eine 'value'-Klausel -
+     * nur wenn alle schlichte Suchbegriffe sind (keine Phrase, kein Feld, kein Ausschluss, kein OR)
+     */
+    mergeLabValues(input, tokens) {
+        this.labValues.parseQuery(input).forEach(labValue => {
+            const covered = tokens.filter(token => token.start < labValue.end && token.end > labValue.start);
+            if (covered.length === 0 || covered.some(token => token.type !== 'term' || token.field || token.negated)) return;
+
+            const first = covered[0];
+            const last = covered[covered.length - 1];
+            tokens.splice(tokens.indexOf(first), covered.length, {
+                type: 'value',
+                value: input.slice(first.start, last.end),
+                field: null,
+                negated: false,
+                start: first.start,
+                end: last.end,
+                labValue
+            });
+        });
+
+        return tokens;
+    }
+
+    createError(message, token) {
+        return { message, start: token.start, end: token.end };
+    }
+}
+
+// Global verfügbar machen
+window.QueryParser = QueryParser;
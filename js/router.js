@@ -0,0 +1,360 @@
+// js/router.js
+/**
+ * Einstiegspunkte der Startseite über die Adresse: Manifest-Shortcuts (?category=, ?action=search, ?view=),
+ * Protokoll-Handler web+metabolic (?module=), Datei-Handler (?import=backup) und Share-Target
+ * (vom Service Worker auf ?action=share bzw. ?import=shared umgeleitet). Ansichten und Modul-Links
+ * landen per History API im Verlauf, damit der Zurück-Button funktioniert.
+ */
+class Router {
+    constructor(options = {}) {
+        this.autoDiscovery = options.autoDiscovery;
+        this.smartSearch = options.smartSearch;
+        this.syncManager = options.syncManager;
+        // Ansichten mit toggle(open) und isOpen(), z.B. { tables: tableBrowser }; melden sich per "viewchange"
+        this.views = options.views || {};
+        this.notify = options.notify || ((message) => console.log(message));
+
+        this.protocol = 'web+metabolic:';
+        // Wie in sw.js: dort legt das Share-Target geteilte Dateien ab
+        this.shareCache = 'metabolic-base-share';
+        this.sharedFileUrl = '/metabolic-base/share-target/file';
+
+        this.modulesScanned = false;
+        this.pendingModule = null; // Modul-Link, der erst nach dem Scan aufgelöst werden kann
+
+        this.initializeUI();
+        this.registerLaunchQueue();
+    }
+
+    /**
+     * Initialisiert Fehlerseite und Listener für Verlauf, Filter und Ansichten
+     */
+    initializeUI() {
+        this.errorSection = document.getElementById('routeError');
+        this.errorText = document.getElementById('routeErrorText');
+        this.errorSuggestions = document.getElementById('routeErrorSuggestions');
+
+        document.getElementById('routeErrorHome')?.addEventListener('click', () => this.navigate({ module: null }));
+        document.getElementById('routeErrorSearch')?.addEventListener('click', (e) => {
+            this.navigate({ module: null, action: 'search', q: e.currentTarget.dataset.query });
+        });
+
+        window.addEventListener('popstate', () => this.handleRoute());
+
+        // Kategorie-Auswahl ersetzt den Eintrag, statt den Verlauf mit jedem Klick zu füllen
+        window.addEventListener('categoryfilterchange', (e) => {
+            this.updateUrl({ category: e.detail.categories }, { replace: true });
+        });
+
+        window.addEventListener('viewchange', (e) => {
+            const { view, open } = e.detail;
+            const current = this.getParams().get('view');
+            if (open && current !== view) {
+                this.updateUrl({ view });
+                this.showView(view);
+            } else if (!open && current === view) {
+                this.updateUrl({ view: null });
+            }
+        });
+    }
+
+    /**
+     * Wertet die aktuelle Adresse aus (beim Start und nach Zurück/Vor)
+     */
+    start() {
+        this.handleRoute();
+    }
+
+    handleRoute() {
+        const params = this.getParams();
+
+        const categories = params.getAll('category').flatMap(value => value.split(','));
+        if (!this.smartSearch.isSameFilter(categories, this.smartSearch.selectedCategories)) {
+            this.smartSearch.setFilter(categories);
+            this.smartSearch.refreshResults();
+        }
+        this.showView(params.get('view'));
+
+        if (params.has('module')) {
+            this.openModule(params.get('module'));
+            return;
+        }
+        this.hideError();
+
+        const action = params.get('action');
+        if (action === 'search') {
+            this.showSearch(params.get('q'));
+        } else if (action === 'share') {
+            this.handleShare(params);
+        }
+
+        if (params.has('import')) {
+            this.handleImport(params.get('import'));
+        }
+    }
+
+    /**
+     * Neuer Verlaufseintrag mit geänderten Parametern, danach auswerten
+     */
+    navigate(changes) {
+        this.updateUrl(changes);
+        this.handleRoute();
+    }
+
+    getParams() {
+        return new URLSearchParams(window.location.search);
+    }
+
+    /**
+     * Setzt Parameter der Adresse (Listen als wiederholte Parameter); null oder leer entfernt sie
+     */
+    updateUrl(changes, { replace = false } = {}) {
+        const url = new URL(window.location.href);
+        Object.entries(changes).forEach(([key, value]) => {
+            url.searchParams.delete(key);
+            [].concat(value ?? []).filter(item => item !== '').forEach(item => url.searchParams.append(key, item));
+        });
+
+        if (url.href === window.location.href) return;
+        history[replace ? 'replaceState' : 'pushState'](null, '', url);
+    }
+
+    /**
+     * Öffnet die genannte Ansicht und schließt alle anderen
+     */
+    showView(name) {
+        Object.entries(this.views).forEach(([key, view]) => {
+            if (key === name) {
+                if (!view.isOpen()) view.toggle(true);
+            } else if (view.isOpen()) {
+                view.toggle(false);
+            }
+        });
+
+        if (name && !this.views[name]) {
+            console.warn(`⚠️ Unbekannte Ansicht: ${name}`);
+            this.updateUrl({ view: null }, { replace: true });
+        }
+    }
+
+    showSearch(query) {
+        const input = this.smartSearch.searchInput;
+        if (!input) return;
+
+        input.focus();
+        if (query) this.smartSearch.search(query);
+    }
+
+    /**
+     * Öffnet ein Modul per ID, Pfad oder Dateiname; unbekannte Module zeigen die Fehlerseite.
+     * Die Modulseite ersetzt den Eintrag - Zurück führt sonst sofort wieder zum Modul.
+     */
+    openModule(reference) {
+        const module = this.resolveModule(reference);
+        if (module) {
+            this.pendingModule = null;
+            this.hideError();
+            console.log(`🔗 Öffne Modul: ${module.title}`);
+            window.location.replace(new URL(module.path, window.location.href).href);
+            return;
+        }
+
+        // Vor dem ersten Scan kennt die gespeicherte Registry neue Module noch nicht
+        if (!this.modulesScanned) {
+            this.pendingModule = reference;
+            console.log(`🔗 Modul "${reference}" wird nach dem Scan gesucht`);
+            return;
+        }
+
+        this.showModuleError(reference);
+    }
+
+    /**
+     * Nach dem Modul-Scan: zurückgestellten Modul-Link erneut auflösen
+     */
+    onModulesScanned() {
+        this.modulesScanned = true;
+        if (this.pendingModule !== null && this.getParams().get('module') === this.pendingModule) {
+            this.openModule(this.pendingModule);
+        }
+        this.pendingModule = null;
+    }
+
+    /**
+     * Modul zu einem Link: ID, Pfad oder Dateiname, auch als web+metabolic:-Adresse
+     * (web+metabolic:modul1, web+metabolic://notfaelle/modul1)
+     */
+    resolveModule(reference) {
+        const key = this.parseModuleReference(reference);
+        if (!key) return null;
+
+        const modules = Object.values(this.autoDiscovery.registry.modules || {});
+        const trimPath = path => String(path).replace(/^\/+/, '');
+        const fileName = path => trimPath(path).split('/').pop().replace(/\.html?$/i, '').toLowerCase();
+        // Pfadende nur an einer Segmentgrenze: "modul1.html" passt nicht auf ".../xmodul1.html"
+        const pathMatches = path => trimPath(path) === key || trimPath(path).endsWith('/' + key);
+
+        return this.autoDiscovery.getModule(key) ||
+            modules.find(module => pathMatches(module.path)) ||
+            modules.find(module => fileName(module.path) === fileName(key)) ||
+            null;
+    }
+
+    parseModuleReference(reference) {
+        let value = String(reference || '').trim();
+        if (value.toLowerCase().startsWith(this.protocol)) {
+            value = value.slice(this.protocol.length);
+        }
+        return value.replace(/[?#].*$/, '').replace(/^\/+|\/+$/g, '');
+    }
+
+    /**
+     * Fehlerseite für unbekannte Module mit ähnlichen Modulen und Suche nach dem Namen
+     */
+    showModuleError(reference) {
+        if (!this.errorSection) {
+            this.notify(`Modul "${reference}" nicht gefunden`, 'error');
+            return;
+        }
+
+        const term = this.parseModuleReference(reference).split('/').pop()
+            .replace(/\.html?$/i, '').replace(/[-_]+/g, ' ').trim();
+        const similar = this.autoDiscovery.searchModules(term).slice(0, 5);
+
+        this.errorText.textContent = `Das Modul „${reference}“ gibt es in dieser Sammlung nicht (mehr). ` +
+            'Vielleicht wurde es umbenannt oder ist auf diesem Gerät noch nicht vorhanden.';
+        this.errorSuggestions.innerHTML = similar.map(module => `
+            <li><a href="${HtmlUtils.escape(module.path)}">${HtmlUtils.escape(module.title)}</a></li>
+        `).join('');
+        this.errorSuggestions.hidden = similar.length === 0;
+
+        const searchButton = document.getElementById('routeErrorSearch');
+        if (searchButton) {
+            searchButton.dataset.query = term;
+            searchButton.hidden = !term;
+        }
+
+        this.errorSection.hidden = false;
+        this.errorSection.scrollIntoView({ block: 'start' });
+        console.warn(`⚠️ Unbekanntes Modul: ${reference}`);
+    }
+
+    hideError() {
+        if (this.errorSection) this.errorSection.hidden = true;
+    }
+
+    /**
+     * Geteilter Titel/Text/Link: Links auf Module dieser App öffnen, sonst danach suchen
+     */
+    handleShare(params) {
+        const title = params.get('title') || '';
+        const text = params.get('text') || '';
+        const link = params.get('url') || (text.match(/https?:\/\/\S+/) || [])[0];
+
+        const moduleReference = link ? this.getModuleReferenceFromLink(link) : null;
+        if (moduleReference) {
+            this.updateUrl({ action: null, title: null, text: null, url: null, module: moduleReference }, { replace: true });
+            this.openModule(moduleReference);
+            return;
+        }
+
+        const query = (title || text.replace(/https?:\/\/\S+/g, '')).replace(/\s+/g, ' ').trim().slice(0, 100);
+        this.updateUrl({ action: query ? 'search' : null, q: query || null, title: null, text: null, url: null }, { replace: true });
+        if (query) this.showSearch(query);
+    }
+
+    /**
+     * Modul aus einem Link dieser App (?module= oder Pfad unter /modules/), sonst null
+     */
+    getModuleReferenceFromLink(link) {
+        try {
+            const url = new URL(link, window.location.href);
+            if (url.origin !== window.location.origin) return null;
+            if (url.searchParams.has('module')) return url.searchParams.get('module');
+            return url.pathname.includes('/modules/') ? decodeURIComponent(url.pathname) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * ?import=backup: Dateien kommen über launchQueue; ?import=shared: vom Share-Target zwischengespeichert
+     */
+    async handleImport(type) {
+        this.updateUrl({ import: null }, { replace: true });
+
+        if (type === 'shared') {
+            await this.importSharedFile();
+        } else if (type === 'backup' && !('launchQueue' in window)) {
+            this.notify('Backup-Dateien lassen sich hier nur über die installierte App öffnen', 'warning');
+        }
+    }
+
+    async importSharedFile() {
+        if (!('caches' in window)) return;
+
+        try {
+            const cache = await caches.open(this.shareCache);
+            const response = await cache.match(this.sharedFileUrl);
+            if (!response) return;
+
+            await cache.delete(this.sharedFileUrl);
+            const blob = await response.blob();
+            const name = decodeURIComponent(response.headers.get('X-File-Name') || 'geteilt');
+            await this.importFile(new File([blob], name, { type: blob.type }));
+        } catch (error) {
+            console.error('❌ Geteilte Datei konnte nicht gelesen werden:', error);
+            this.notify('Geteilte Datei konnte nicht gelesen werden', 'error');
+        }
+    }
+
+    /**
+     * JSON-Dateien als Backup importieren, HTML-Dateien dem passenden Modul zuordnen
+     */
+    async importFile(file) {
+        if (/\.json$/i.test(file.name) || file.type === 'application/json') {
+            await this.syncManager.importFullBackup(file);
+            return;
+        }
+
+        if (/\.html?$/i.test(file.name) || file.type === 'text/html') {
+            const module = this.resolveModule(file.name);
+            if (module) {
+                this.navigate({ module: module.id });
+                return;
+            }
+
+            // Unbekannte Moduldatei: nach ihrem Titel suchen
+            const title = new DOMParser().parseFromString(await file.text(), 'text/html').title.trim();
+            this.navigate({ action: 'search', q: title || file.name.replace(/\.html?$/i, '') });
+            return;
+        }
+
+        this.notify(`Dateityp von "${file.name}" wird nicht unterstützt`, 'warning');
+    }
+
+    /**
+     * Installierte App: Dateien aus dem Datei-Handler und Starts bei bereits offenem Fenster
+     * (launch_handler "focus-existing" lädt die Seite nicht neu, sondern liefert nur targetURL)
+     */
+    registerLaunchQueue() {
+        if (!('launchQueue' in window)) return;
+
+        window.launchQueue.setConsumer(async (launchParams) => {
+            if (launchParams.files?.length > 0) {
+                for (const handle of launchParams.files) {
+                    await this.importFile(await handle.getFile());
+                }
+                return;
+            }
+
+            if (launchParams.targetURL && launchParams.targetURL !== window.location.href) {
+                history.pushState(null, '', launchParams.targetURL);
+                this.handleRoute();
+            }
+        });
+    }
+}
+
+// Global verfügbar machen
+window.Router = Router;
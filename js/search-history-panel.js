@@ -0,0 +1,195 @@
+// js/search-history-panel.js
+/**
+ * Bereich unter dem Suchfeld: gespeicherte Suchen mit aktueller Trefferzahl sowie
+ * zuletzt und häufig gesuchte Anfragen. Einträge lassen sich erneut ausführen, anheften und löschen.
+ */
+class SearchHistoryPanel {
+    constructor(options = {}) {
+        this.smartSearch = options.smartSearch;
+        this.contentIndexer = options.contentIndexer || this.smartSearch.contentIndexer;
+        this.recentLimit = 8;
+        this.popularLimit = 5;
+
+        this.initializeUI();
+    }
+
+    /**
+     * Initialisiert gespeicherte Suchen und Verlauf
+     */
+    initializeUI() {
+        this.savedList = document.getElementById('savedSearches');
+        this.historyPanel = document.getElementById('searchHistory');
+        this.historyContent = document.getElementById('searchHistoryContent');
+
+        if (!this.savedList || !this.historyContent) {
+            console.warn('⚠️ Suchverlauf nicht gefunden');
+            return;
+        }
+
+        this.savedList.addEventListener('click', (e) => this.handleClick(e));
+        this.historyContent.addEventListener('click', (e) => this.handleClick(e));
+
+        window.addEventListener('searchhistorychange', () => this.render());
+        // Trefferzahlen nach einer Indexierung neu berechnen
+        window.addEventListener('indexprogress', (e) => {
+            if (e.detail.state === 'done') this.renderSavedSearches();
+        });
+
+        this.render();
+        this.contentIndexer.ready.then(() => this.renderSavedSearches());
+    }
+
+    /**
+     * Klicks auf Einträge: ausführen, anheften oder löschen (Aktion im data-action)
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const { action, query, filter = '', id } = button.dataset;
+        switch (action) {
+            case 'run':
+                this.smartSearch.runSearch(query, filter);
+                break;
+            case 'pin':
+                this.smartSearch.saveSearch(query, filter);
+                break;
+            case 'unpin':
+                this.smartSearch.removeSavedSearch(id);
+                break;
+            case 'remove':
+                this.smartSearch.removeFromSearchHistory(query);
+                break;
+            case 'clear':
+                this.smartSearch.clearSearchHistory();
+                break;
+        }
+    }
+
+    render() {
+        this.renderSavedSearches();
+        this.renderHistory();
+    }
+
+    /**
+     * Gespeicherte Suchen als Leiste auf der Startseite, mit aktueller Trefferzahl
+     */
+    renderSavedSearches() {
+        if (!this.savedList) return;
+
+        const searches = this.smartSearch.savedSearches.searches;
+        this.savedList.hidden = searches.length === 0;
+        this.savedList.innerHTML = searches.length === 0 ? '' : `
+            <span class="saved-searches-label">⭐ Gespeicherte Suchen</span>
+            ${searches.map(search => {
+                const count = this.smartSearch.countResults(search.query, search.filter);
+                const filterTitle = this.getFilterTitle(search.filter);
+                return `
+                    <span class="saved-search">
+                        <button type="button" class="saved-search-run" data-action="run" data-query="${HtmlUtils.escape(search.query)}" data-filter="${this.getFilterValue(search.filter)}"
+                                title="${count} Treffer${filterTitle ? ' in ' + HtmlUtils.escape(filterTitle) : ''}">
+                            ${HtmlUtils.escape(search.query)}${this.createFilterLabel(search.filter)}
+                            <span class="saved-search-count">${count}</span>
+                        </button>
+                        <button type="button" class="saved-search-remove" data-action="unpin" data-id="${HtmlUtils.escape(search.id)}"
+                                aria-label="Gespeicherte Suche „${HtmlUtils.escape(search.query)}“ entfernen">✕</button>
+                    </span>
+                `;
+            }).join('')}
+        `;
+    }
+
+    /**
+     * Zuletzt und häufig gesucht
+     */
+    renderHistory() {
+        if (!this.historyContent) return;
+
+        const history = this.smartSearch.searchHistory;
+        const recent = history.slice(0, this.recentLimit);
+        const popular = this.smartSearch.getPopularQueries(this.popularLimit).filter(({ count }) => count > 1);
+
+        if (this.historyPanel) {
+            this.historyPanel.querySelector('summary').textContent = `🕘 Suchverlauf (${history.length})`;
+        }
+
+        if (history.length === 0) {
+            this.historyContent.innerHTML = '<p class="search-history-empty">Noch keine Suchen.</p>';
+            return;
+        }
+
+        this.historyContent.innerHTML = `
+            <div class="search-history-columns">
+                <div>
+                    <h4>Zuletzt gesucht</h4>
+                    <ul class="search-history-list">
+                        ${recent.map(item => this.createHistoryItem(item)).join('')}
+                    </ul>
+                </div>
+                ${popular.length > 0 ? `
+                    <div>
+                        <h4>Häufig gesucht</h4>
+                        <ul class="search-history-list">
+                            ${popular.map(({ query, count }) => `
+                                <li>
+                                    <button type="button" class="search-history-query" data-action="run" data-query="${HtmlUtils.escape(query)}">${HtmlUtils.escape(query)}</button>
+                                    <span class="search-history-meta">${count}×</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+            </div>
+            <button type="button" class="search-history-clear" data-action="clear">Verlauf löschen</button>
+        `;
+    }
+
+    createHistoryItem(item) {
+        const filter = this.getFilterValue(item.filter);
+        const isSaved = this.smartSearch.isSavedSearch(item.query, filter);
+        const query = HtmlUtils.escape(item.query);
+
+        return `
+            <li>
+                <button type="button" class="search-history-query" data-action="run" data-query="${query}" data-filter="${filter}">
+                    ${query}${this.createFilterLabel(filter)}
+                </button>
+                <span class="search-history-meta">${item.resultCount} Treffer · ${this.formatTime(item.timestamp)}</span>
+                <button type="button" class="search-history-action" data-action="pin" data-query="${query}" data-filter="${filter}"
+                        ${isSaved ? 'disabled' : ''} aria-label="„${query}“ als gespeicherte Suche anheften" title="Als gespeicherte Suche anheften">${isSaved ? '⭐' : '☆'}</button>
+                <button type="button" class="search-history-action" data-action="remove" data-query="${query}"
+                        aria-label="„${query}“ aus dem Verlauf löschen" title="Aus dem Verlauf löschen">✕</button>
+            </li>
+        `;
+    }
+
+    createFilterLabel(filter) {
+        const title = this.getFilterTitle(filter);
+        return title ? ` <span class="search-filter-label">${HtmlUtils.escape(title)}</span>` : '';
+    }
+
+    getFilterTitle(filter) {
+        return this.smartSearch.getFilterTitle(filter);
+    }
+
+    /**
+     * Filter als "a,b" für data-filter (leer = alle Kategorien)
+     */
+    getFilterValue(filter) {
+        return HtmlUtils.escape(this.smartSearch.normalizeFilter(filter).join(','));
+    }
+
+    /**
+     * Zeitpunkt relativ ("vor 5 Min.") bis zu einem Tag, danach als Datum
+     */
+    formatTime(timestamp) {
+        const minutes = Math.round((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'gerade eben';
+        if (minutes < 60) return `vor ${minutes} Min.`;
+        if (minutes < 24 * 60) return `vor ${Math.round(minutes / 60)} Std.`;
+        return new Date(timestamp).toLocaleDateString('de-DE');
+    }
+}
+
+// Global verfügbar machen
+window.SearchHistoryPanel = SearchHistoryPanel;
@@ -1,18 +1,25 @@
 // js/smart-search.js
 class SmartSearch {
-    constructor() {
-        this.contentIndexer = new ContentIndexer();
-        this.autoDiscovery = new AutoDiscovery();
+    constructor(options = {}) {
+        // Gemeinsame Instanzen der Startseite verwenden, falls übergeben
+        this.contentIndexer = options.contentIndexer || new ContentIndexer();
+        this.autoDiscovery = options.autoDiscovery || new AutoDiscovery();
+        this.clickModel = options.clickModel || new ClickModel({ germanAnalyzer: this.contentIndexer.analyzer.germanAnalyzer });
         
         this.searchHistory = this.loadSearchHistory();
-        this.searchSuggestions = new Set();
+        this.savedSearches = this.loadSavedSearches();
+        this.suggestions = []; // Einträge der Autovervollständigung { term, type }
+        this.activeSuggestion = -1;
+        this.maxSuggestions = 8;
         this.debounceTimer = null;
         this.currentQuery = '';
-        this.currentFilter = 'all';
+        this.selectedCategories = []; // Kategorie-Filter, leer = alle
+        this.categoryCounts = null; // Treffer je Kategorie der laufenden Suche, null = Modulanzahl
         this.isSearching = false;
+        // Weniger Treffer als das: Rechtschreibvorschlag prüfen ("Meinten Sie ...?")
+        this.suggestionThreshold = 3;
         
         this.initializeUI();
-        this.buildSuggestions();
     }
 
     /**
@@ -22,6 +29,11 @@ class SmartSearch {
         this.searchInput = document.getElementById('searchInput');
         this.searchResults = document.getElementById('searchResults');
         this.searchResultsList = document.getElementById('searchResultsList');
+        this.queryError = document.getElementById('searchQueryError');
+        this.suggestionList = document.getElementById('searchSuggestions');
+        this.clickRankingToggle = document.getElementById('clickRankingToggle');
+        this.clickRankingReset = document.getElementById('clickRankingReset');
+        this.clickRankingStatus = document.getElementById('clickRankingStatus');
         this.filterButtons = document.querySelectorAll('.filter-btn');
         
         if (!this.searchInput) {
@@ -35,11 +47,50 @@ class SmartSearch {
         this.searchInput.addEventListener('blur', () => this.hideSearchSuggestions(200));
         this.searchInput.addEventListener('keydown', (e) => this.handleKeyDown(e));
 
+        // mousedown statt click: das Suchfeld verliert den Fokus erst danach
+        this.suggestionList?.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('.search-suggestion-option');
+            if (!option) return;
+            e.preventDefault();
+            this.selectSuggestion(Number(option.dataset.index));
+        });
+
+        // Notizen und Haken der Ergebniskarten (Modul-ID aus data-module-id, keine Inline-Handler)
+        this.searchResultsList?.addEventListener('click', (e) => {
+            const button = e.target.closest('.search-result-item [data-action]');
+            if (!button) return;
+
+            const moduleId = button.closest('.search-result-item').dataset.moduleId;
+            if (button.dataset.action === 'notes') openNotes(moduleId);
+            if (button.dataset.action === 'progress') toggleProgress(moduleId);
+        });
+
         // Filter Event Listeners
         this.filterButtons.forEach(btn => {
             btn.addEventListener('click', (e) => this.handleFilterClick(e));
         });
 
+        // Per Synchronisation oder Backup übernommene Suchhistorie neu laden
+        window.addEventListener('userdataapplied', () => {
+            this.searchHistory = this.loadSearchHistory();
+            this.savedSearches = this.loadSavedSearches();
+            this.notifyHistoryChange();
+        });
+
+        // Klick-Ranking ein-/ausschalten und zurücksetzen
+        if (this.clickRankingToggle) {
+            this.clickRankingToggle.checked = this.clickModel.isEnabled();
+            this.clickRankingToggle.addEventListener('change', () => {
+                this.clickModel.setEnabled(this.clickRankingToggle.checked);
+                this.refreshClickRanking();
+            });
+            this.clickRankingReset?.addEventListener('click', () => {
+                this.clickModel.reset();
+                this.refreshClickRanking();
+            });
+            this.updateClickRankingStatus();
+        }
+
         console.log('🔍 Smart Search UI initialisiert');
     }
 
@@ -54,6 +105,7 @@ class SmartSearch {
         clearTimeout(this.debounceTimer);
         this.debounceTimer = setTimeout(() => {
             if (query.length === 0) {
+                this.showQueryErrors(null);
                 this.hideSearchResults();
             } else if (query.length >= 2) {
                 this.performSearch(query);
@@ -62,7 +114,9 @@ class SmartSearch {
 
         // Live-Suggestions anzeigen
         if (query.length > 0) {
-            this.showLiveSuggestions(query);
+            this.showLiveSuggestions(event.target.value);
+        } else {
+            this.hideSearchSuggestions();
         }
     }
 
@@ -71,6 +125,11 @@ class SmartSearch {
      */
     async performSearch(query) {
         if (this.isSearching) return;
+
+        // Syntaxfehler direkt unter dem Suchfeld anzeigen statt zu suchen
+        const parsedQuery = this.contentIndexer.queryParser.parse(query);
+        this.showQueryErrors(parsedQuery);
+        if (parsedQuery.errors.length > 0) return;
         
         this.isSearching = true;
         this.showSearchLoading();
@@ -81,21 +140,32 @@ class SmartSearch {
             // Suche im Content-Index
             const searchOptions = {
                 maxResults: 20,
-                categoryFilter: this.currentFilter,
-                fuzzySearch: true,
+                categoryFilter: this.selectedCategories,
                 includeExcerpts: true
             };
 
-            const results = this.contentIndexer.search(query, searchOptions);
+            // Ohne Kategorie-Filter suchen, damit jeder Filter-Button seine Trefferzahl zeigen kann
+            const results = this.contentIndexer.search(parsedQuery, { ...searchOptions, maxResults: Infinity, categoryFilter: null });
             
-            // Zusätzliche Modulsuche über Auto-Discovery
-            const moduleResults = this.autoDiscovery.searchModules(query);
+            // Zusätzliche Modulsuche über Auto-Discovery - kennt weder Phrasen noch Operatoren
+            const moduleResults = parsedQuery.isSimple ? this.autoDiscovery.searchModules(query) : [];
             
-            // Ergebnisse zusammenführen und deduplizieren
-            const combinedResults = this.mergeSearchResults(results, moduleResults);
+            // Ergebnisse zusammenführen, deduplizieren und nach eigenen Klicks neu sortieren
+            const allResults = this.clickModel.rerank(this.mergeSearchResults(results, moduleResults), query);
+            this.categoryCounts = this.countByCategory(allResults);
+            this.updateFilterCounts();
+
+            const combinedResults = allResults
+                .filter(result => this.matchesFilter(result.category))
+                .slice(0, searchOptions.maxResults);
+            
+            // Bei wenigen Treffern korrigierte Anfrage vorschlagen, ihre Treffer getrennt anzeigen
+            const suggestion = combinedResults.length < this.suggestionThreshold
+                ? this.findSuggestion(parsedQuery, combinedResults, searchOptions)
+                : null;
             
             // Suchergebnisse anzeigen
-            this.displaySearchResults(combinedResults, query);
+            this.displaySearchResults(combinedResults, query, this.getHighlightTerms(parsedQuery), suggestion);
             
             // Zur Suchhistorie hinzufügen
             this.addToSearchHistory(query, combinedResults.length);
@@ -108,6 +178,82 @@ class SmartSearch {
         }
     }
 
+    /**
+     * Korrigierte Anfrage mit ihren Treffern - ohne Module, die schon exakt gefunden wurden
+     */
+    findSuggestion(parsedQuery, exactResults, searchOptions) {
+        const suggestion = this.contentIndexer.suggest(parsedQuery);
+        if (!suggestion) return null;
+
+        const correctedQuery = this.contentIndexer.queryParser.parse(suggestion.query);
+        const results = this.contentIndexer.search(correctedQuery, searchOptions)
+            .filter(result => !exactResults.some(exact => exact.moduleId === result.moduleId));
+
+        return { ...suggestion, results, highlightTerms: this.getHighlightTerms(correctedQuery) };
+    }
+
+    /**
+     * Merkt die angezeigte Suche samt Kategorie-Filter als gespeicherte Suche vor
+     */
+    createSaveSearchButton(query) {
+        const isSaved = this.isSavedSearch(query, this.selectedCategories);
+        return `
+            <button type="button" class="save-search-btn" data-query="${HtmlUtils.escape(query)}" ${isSaved ? 'disabled' : ''}>
+                ${isSaved ? '⭐ Gespeichert' : '☆ Suche speichern'}
+            </button>
+        `;
+    }
+
+    /**
+     * "Meinten Sie ...?" mit hervorgehobenen Korrekturen; ein Klick sucht erneut
+     */
+    createSuggestionBox(suggestion) {
+        let html = HtmlUtils.escape(suggestion.query);
+        suggestion.corrections.forEach(correction => {
+            html = html.replace(HtmlUtils.escape(correction.to), '<strong>$&</strong>');
+        });
+
+        return `
+            <div class="search-suggestion" style="margin-bottom: 1rem; padding: 0.75rem 1rem; background: var(--bg-light); border-radius: 8px;">
+                🔤 Meinten Sie
+                <button type="button" class="search-suggestion-link" data-query="${HtmlUtils.escape(suggestion.query)}" style="border: none; background: none; padding: 0; color: var(--primary-color); font-size: inherit; text-decoration: underline; cursor: pointer;">${html}</button>?
+            </div>
+        `;
+    }
+
+    /**
+     * Zeigt Syntaxfehler der Anfrage unter dem Suchfeld an (null blendet sie aus)
+     */
+    showQueryErrors(parsedQuery) {
+        const errors = parsedQuery ? parsedQuery.errors : [];
+        this.searchInput.setAttribute('aria-invalid', errors.length > 0 ? 'true' : 'false');
+        if (!this.queryError) return;
+
+        this.queryError.hidden = errors.length === 0;
+        if (errors.length === 0) {
+            this.queryError.innerHTML = '';
+            return;
+        }
+
+        const { input } = parsedQuery;
+        const [first] = errors;
+        this.queryError.innerHTML = `
+            ⚠️ ${errors.map(error => HtmlUtils.escape(error.message)).join(' · ')}
+            <br><code>${HtmlUtils.escape(input.slice(0, first.start))}<mark>${HtmlUtils.escape(input.slice(first.start, first.end)) || '&nbsp;'}</mark>${HtmlUtils.escape(input.slice(first.end))}</code>
+        `;
+    }
+
+    /**
+     * Suchbegriffe zum Hervorheben - ohne Ausschlüsse und Kategorie-/Notizfilter
+     */
+    getHighlightTerms(parsedQuery) {
+        return parsedQuery.groups
+            .flatMap(group => group.clauses)
+            .filter(clause => clause.field !== 'category' && clause.field !== 'note')
+            .map(clause => clause.value)
+            .join(' ');
+    }
+
     /**
      * Führt Ergebnisse aus verschiedenen Quellen zusammen
      */
@@ -147,13 +293,13 @@ class SmartSearch {
     /**
      * Zeigt Suchergebnisse in der UI an
      */
-    displaySearchResults(results, query) {
+    displaySearchResults(results, query, highlightTerms = query, suggestion = null) {
         if (!this.searchResults || !this.searchResultsList) return;
 
         this.searchResults.classList.add('show');
         
-        if (results.length === 0) {
-            this.showNoResults(query);
+        if (results.length === 0 && !(suggestion?.results.length > 0)) {
+            this.showNoResults(query, suggestion);
             return;
         }
 
@@ -161,18 +307,30 @@ class SmartSearch {
         const header = `
             <div style="margin-bottom: 1rem; padding-bottom: 0.5rem; border-bottom: 2px solid var(--bg-lighter);">
                 <h3 style="margin: 0; color: var(--text-primary);">
-                    ${results.length} Ergebnis${results.length !== 1 ? 'se' : ''} für "${query}"
+                    ${results.length} Ergebnis${results.length !== 1 ? 'se' : ''} für "${HtmlUtils.escape(query)}"${this.selectedCategories.length > 0 ? ` in ${HtmlUtils.escape(this.getFilterTitle(this.selectedCategories))}` : ''}
                 </h3>
-                <p style="margin: 0.5rem 0 0 0; color: var(--text-secondary); font-size: 0.9rem;">
-                    Kategorien: ${this.getResultCategories(results).join(', ')}
-                </p>
+                ${this.createSaveSearchButton(query)}
+                ${results.length > 0 ? `
+                    <p style="margin: 0.5rem 0 0 0; color: var(--text-secondary); font-size: 0.9rem;">
+                        Kategorien: ${this.getResultCategories(results).join(', ')}
+                    </p>
+                ` : ''}
             </div>
+            ${suggestion ? this.createSuggestionBox(suggestion) : ''}
         `;
 
         // Ergebnisliste
-        const resultItems = results.map(result => this.createResultItem(result, query)).join('');
+        const resultItems = results.map(result => this.createResultItem(result, highlightTerms)).join('');
+
+        // Treffer der korrigierten Anfrage getrennt von den exakten Treffern
+        const suggestionItems = suggestion?.results.length > 0 ? `
+            <div class="suggestion-results" style="margin-top: 1rem; padding-top: 0.5rem; border-top: 2px dashed var(--bg-lighter);">
+                <h4 style="margin: 0.5rem 0; color: var(--text-secondary);">🔤 Ähnliche Treffer für "${HtmlUtils.escape(suggestion.query)}"</h4>
+                ${suggestion.results.map(result => this.createResultItem(result, suggestion.highlightTerms)).join('')}
+            </div>
+        ` : '';
         
-        this.searchResultsList.innerHTML = header + resultItems;
+        this.searchResultsList.innerHTML = header + resultItems + suggestionItems;
 
         // Event Listeners für Ergebnisse
         this.attachResultEventListeners();
@@ -186,9 +344,12 @@ class SmartSearch {
     createResultItem(result, query) {
         const module = this.autoDiscovery.getModule(result.moduleId);
         const categoryInfo = this.getCategoryInfo(result.category);
+        const sections = result.sections || [];
+        // Nur in der eigenen Notiz gefunden: Klick öffnet die Notiz statt des Moduls
+        const noteOnly = result.matchedNote && result.matchedKeywords.length === 0 && !(result.matchedLabValues?.length > 0);
         
         return `
-            <div class="search-result-item" data-module-id="${result.moduleId}" data-path="${module?.path || '#'}">
+            <div class="search-result-item${result.matchedNote ? ' note-hit' : ''}" data-module-id="${HtmlUtils.escape(result.moduleId)}" data-path="${module ? HtmlUtils.escape(this.buildModuleLink(module.path, sections[0])) : '#'}"${noteOnly ? ' data-open-notes="true"' : ''}>
                 <div class="result-header" style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 0.5rem;">
                     <div>
                         <h4 class="result-title" style="margin: 0; font-size: 1.1rem; font-weight: 600;">
@@ -198,15 +359,32 @@ class SmartSearch {
                             <span>${categoryInfo.icon}</span>
                             <span>${categoryInfo.title}</span>
                             ${this.createRelevanceIndicator(result.relevanceScore)}
+                            ${result.matchedNote ? '<span class="note-badge" title="Treffer in Ihrer Notiz zu diesem Modul">📝 Ihre Notiz</span>' : ''}
                         </div>
                     </div>
                     <div class="result-actions" style="display: flex; gap: 0.5rem;">
-                        <button class="action-btn notes-btn" onclick="event.stopPropagation(); openNotes('${result.moduleId}')" title="Notizen">📝</button>
-                        <button class="action-btn progress-btn" onclick="event.stopPropagation(); toggleProgress('${result.moduleId}')" title="Fortschritt">✓</button>
+                        <button class="action-btn notes-btn" data-action="notes" title="Notizen">📝</button>
+                        <button class="action-btn progress-btn" data-action="progress" title="Fortschritt">✓</button>
                     </div>
                 </div>
                 
-                ${result.excerpts.length > 0 ? `
+                ${result.noteExcerpt ? `
+                    <button type="button" class="result-note" data-module-id="${HtmlUtils.escape(result.moduleId)}" title="Notiz öffnen">
+                        <strong>📝 Notiz:</strong> ${result.noteExcerpt}
+                    </button>
+                ` : ''}
+                
+                ${module && sections.length > 0 && !noteOnly ? `
+                    <div class="result-sections" style="margin: 0.5rem 0;">
+                        ${sections.map(section => `
+                            <a class="result-section" href="${HtmlUtils.escape(this.buildModuleLink(module.path, section))}" target="_blank" rel="noopener" style="display: block; margin: 0.25rem 0; padding: 0.5rem; background: var(--bg-light); border-radius: 6px; font-size: 0.9rem; line-height: 1.4; color: inherit; text-decoration: none;">
+                                <strong>📍 ${[categoryInfo.title, ...section.path].map(part => HtmlUtils.escape(part)).join(' › ')}</strong>
+                                ${section.labValues ? `<br><span title="Gesuchter Wert liegt in diesem Bereich">🧪 ${section.labValues.map(labValue => this.formatLabValue(labValue)).join(' · ')}</span>` : ''}
+                                ${section.excerpt ? `<br><span style="color: var(--text-secondary);">${section.excerpt}</span>` : ''}
+                            </a>
+                        `).join('')}
+                    </div>
+                ` : result.excerpts.length > 0 ? `
                     <div class="result-excerpts" style="margin: 0.5rem 0;">
                         ${result.excerpts.slice(0, 2).map(excerpt => `
                             <p class="result-excerpt" style="margin: 0.25rem 0; padding: 0.5rem; background: var(--bg-light); border-radius: 6px; font-size: 0.9rem; line-height: 1.4;">
@@ -222,16 +400,47 @@ class SmartSearch {
                     ${result.matchedKeywords.length > 0 ? `
                         <span>🔍 Keywords: ${result.matchedKeywords.slice(0, 3).join(', ')}${result.matchedKeywords.length > 3 ? '...' : ''}</span>
                     ` : ''}
+                    ${result.clickBoost > 0 ? `<span title="Bei dieser Suche schon oft geöffnet (+${Math.round(result.clickBoost)} Relevanz)">👆 Oft geöffnet</span>` : ''}
+                    ${result.matchedLabValues?.length > 0 ? `<span title="${result.matchedLabValues.map(labValue => this.formatLabValue(labValue)).join('; ')}">🧪 ${result.matchedLabValues.length} passende${result.matchedLabValues.length === 1 ? 'r' : ''} Grenzwert${result.matchedLabValues.length === 1 ? '' : 'e'}</span>` : ''}
+                    ${result.matchedSynonyms?.length > 0 ? `
+                        <span title="Treffer über den Thesaurus">🔁 Synonym: ${result.matchedSynonyms.slice(0, 2).map(synonym => `${synonym.matchedTerm} → ${synonym.term}`).join(', ')}${result.matchedSynonyms.length > 2 ? '...' : ''}</span>
+                    ` : ''}
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Link ins Modul; mit Abschnitt springt das Modul dorthin und hebt die Suchbegriffe hervor
+     */
+    buildModuleLink(path, section = null) {
+        if (!section) return path;
+
+        const highlight = encodeURIComponent(section.highlightKeywords.join(','));
+        return `${path}?hl=${highlight}#${encodeURIComponent(section.anchor)}`;
+    }
+
+    /**
+     * Gesuchter Wert (bei anderer Einheit umgerechnet) und der Bereich im Modul,
+     * z.B. "Glukose 40 mg/dl ≙ 2,22 mmol/l → < 2,6 mmol/l"
+     */
+    formatLabValue({ fact, query }) {
+        const labValues = this.contentIndexer.labValues;
+        const searched = `${labValues.analytes[fact.analyte].label} ${labValues.formatNumber(query.value)} ${query.unit}`;
+        const converted = query.unit !== fact.unit
+            ? ` ≙ ${labValues.formatNumber(labValues.fromCanonical(query.canonical, fact.unit, fact.analyte))} ${fact.unit}`
+            : '';
+
+        return HtmlUtils.escape(`${searched}${converted} → ${fact.text}`);
+    }
+
     /**
      * Erstellt Relevanz-Indikator
      */
     createRelevanceIndicator(score) {
-        const level = score > 20 ? 'high' : score > 10 ? 'medium' : 'low';
+        // Content-Treffer sind relativ zum besten Treffer skaliert (0-100, plus Content-Bonus)
+        score = Math.min(score, 100);
+        const level = score > 60 ? 'high' : score > 30 ? 'medium' : 'low';
         const color = level === 'high' ? '#4facfe' : level === 'medium' ? '#f093fb' : '#ddd';
         
         return `
@@ -242,33 +451,58 @@ class SmartSearch {
     }
 
     /**
-     * Hebt Suchbegriffe im Text hervor
+     * Hebt Suchbegriffe im (unescapten) Text hervor und liefert HTML - Treffer und Zwischentext
+     * werden einzeln escaped, damit ein Begriff wie "amp" keine Entity zerteilt
      */
     highlightText(text, query) {
-        if (!query) return text;
-        
-        const keywords = query.toLowerCase().split(/\s+/);
-        let highlightedText = text;
-        
-        keywords.forEach(keyword => {
-            if (keyword.length >= 2) {
-                const regex = new RegExp(`(${keyword})`, 'gi');
-                highlightedText = highlightedText.replace(regex, '<span class="highlight">$1</span>');
-            }
-        });
-        
-        return highlightedText;
+        const keywords = (query || '').toLowerCase().split(/\s+/)
+            .filter(keyword => keyword.length >= 2)
+            .sort((a, b) => b.length - a.length)
+            .map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (keywords.length === 0) return HtmlUtils.escape(text);
+
+        // split() mit Gruppe: ungerade Indizes sind Treffer
+        return String(text)
+            .split(new RegExp(`(${keywords.join('|')})`, 'gi'))
+            .map((part, index) => index % 2 === 1
+                ? `<span class="highlight">${HtmlUtils.escape(part)}</span>`
+                : HtmlUtils.escape(part))
+            .join('');
     }
 
     /**
      * Fügt Event Listeners zu Suchergebnissen hinzu
      */
     attachResultEventListeners() {
+        // "Meinten Sie ...?" sucht mit der korrigierten Anfrage
+        this.searchResultsList.querySelectorAll('.search-suggestion-link').forEach(link => {
+            link.addEventListener('click', () => this.search(link.dataset.query));
+        });
+
+        this.searchResultsList.querySelector('.save-search-btn')?.addEventListener('click', (e) => {
+            this.saveSearch(e.currentTarget.dataset.query, this.selectedCategories);
+            e.currentTarget.disabled = true;
+            e.currentTarget.textContent = '⭐ Gespeichert';
+        });
+
         const resultItems = this.searchResultsList.querySelectorAll('.search-result-item');
         
         resultItems.forEach(item => {
             item.addEventListener('click', (e) => {
                 if (e.target.classList.contains('action-btn')) return;
+
+                // Notiz-Treffer öffnen die Notiz direkt
+                if (e.target.closest('.result-note') || item.dataset.openNotes) {
+                    openNotes(item.dataset.moduleId);
+                    this.trackSearchResultClick(item.dataset.moduleId, this.currentQuery);
+                    return;
+                }
+
+                // Abschnitts-Links öffnen sich selbst
+                if (e.target.closest('.result-section')) {
+                    this.trackSearchResultClick(item.dataset.moduleId, this.currentQuery);
+                    return;
+                }
                 
                 const path = item.dataset.path;
                 if (path && path !== '#') {
@@ -293,30 +527,34 @@ class SmartSearch {
     }
 
     /**
-     * Behandelt Filter-Button Klicks
+     * Behandelt Filter-Button Klicks: Kategorien lassen sich kombinieren, "Alle" hebt die Auswahl auf
      */
     handleFilterClick(event) {
-        const button = event.target;
-        if (!button.classList.contains('filter-btn')) return;
+        const button = event.target.closest('.filter-btn');
+        if (!button) return;
 
-        // Aktiven Filter aktualisieren
-        this.filterButtons.forEach(btn => btn.classList.remove('active'));
-        button.classList.add('active');
-        
-        this.currentFilter = button.dataset.category;
+        const category = button.dataset.category;
+        if (category === 'all') {
+            this.setFilter([]);
+        } else if (this.selectedCategories.includes(category)) {
+            this.setFilter(this.selectedCategories.filter(key => key !== category));
+        } else {
+            this.setFilter([...this.selectedCategories, category]);
+        }
         
         // Erneute Suche wenn Query vorhanden
         if (this.currentQuery.length >= 2) {
             this.performSearch(this.currentQuery);
         }
 
-        console.log(`🔍 Filter geändert zu: ${this.currentFilter}`);
+        console.log(`🔍 Filter geändert zu: ${this.selectedCategories.join(', ') || 'alle'}`);
     }
 
     /**
      * Behandelt Keyboard-Navigation
      */
     handleKeyDown(event) {
+        if (this.isSuggestionListOpen() && this.handleSuggestionKey(event)) return;
         if (!this.searchResults.classList.contains('show')) return;
 
         const resultItems = this.searchResultsList.querySelectorAll('.search-result-item');
@@ -374,59 +612,249 @@ class SmartSearch {
         }
     }
 
+    /**
+     * Tastatur in der geöffneten Vorschlagsliste; true, wenn die Taste verbraucht wurde
+     */
+    handleSuggestionKey(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                event.preventDefault();
+                this.moveSuggestion(event.key === 'ArrowDown' ? 1 : -1);
+                return true;
+
+            case 'Enter':
+                if (this.activeSuggestion < 0) {
+                    this.hideSearchSuggestions();
+                    return false;
+                }
+                event.preventDefault();
+                this.selectSuggestion(this.activeSuggestion);
+                return true;
+
+            case 'Escape':
+                // Nur die Liste schließen, Suchergebnisse bleiben stehen
+                event.preventDefault();
+                event.stopPropagation();
+                this.hideSearchSuggestions();
+                return true;
+
+            case 'Tab':
+                this.hideSearchSuggestions();
+                return false;
+        }
+        return false;
+    }
+
     /**
      * Zeigt Live-Vorschläge während der Eingabe
      */
     showLiveSuggestions(query) {
-        // TODO: Implementiere Live-Suggestions basierend auf Suchhistorie und populären Begriffen
         const suggestions = this.generateSuggestions(query);
-        
+
         if (suggestions.length > 0) {
-            // Zeige Suggestions in einem Dropdown
-            this.displaySuggestions(suggestions);
+            this.displaySuggestions(suggestions, query);
+        } else {
+            this.hideSearchSuggestions();
         }
     }
 
     /**
-     * Generiert Suchvorschläge
+     * Generiert Suchvorschläge: eigene frühere Suchen, dann Begriffe aus dem Präfixbaum des Index.
+     * Bei mehreren Wörtern wird zusätzlich das letzte Wort vervollständigt.
      */
     generateSuggestions(query) {
+        const analyzer = this.contentIndexer.analyzer.germanAnalyzer;
+        const normalizedQuery = analyzer.normalize(query.trim());
         const suggestions = [];
-        const queryLower = query.toLowerCase();
-        
-        // Aus Suchhistorie
-        this.searchHistory.forEach(item => {
-            if (item.query.toLowerCase().includes(queryLower) && 
-                !suggestions.includes(item.query) && 
-                suggestions.length < 5) {
-                suggestions.push(item.query);
-            }
-        });
-        
-        // Aus Top-Keywords
-        const topKeywords = this.contentIndexer.getTopKeywords(100);
-        topKeywords.forEach(({ keyword }) => {
-            if (keyword.toLowerCase().includes(queryLower) && 
-                !suggestions.includes(keyword) && 
-                suggestions.length < 8) {
-                suggestions.push(keyword);
-            }
-        });
-        
+
+        const add = (term, type) => {
+            const lower = term.toLowerCase();
+            if (suggestions.length >= this.maxSuggestions ||
+                lower === query.trim().toLowerCase() ||
+                suggestions.some(suggestion => suggestion.term.toLowerCase() === lower)) return;
+            suggestions.push({ term, type });
+        };
+
+        // Aus Suchhistorie (Treffer an einem Wortanfang)
+        this.searchHistory
+            .filter(item => (' ' + analyzer.normalize(item.query)).includes(' ' + normalizedQuery))
+            .slice(0, 3)
+            .forEach(item => add(item.query, 'history'));
+
+        // Aus dem Index
+        const trie = this.contentIndexer.getCompletionTrie();
+        trie.complete(query, this.maxSuggestions).forEach(entry => add(entry.term, entry.type));
+
+        // Letztes Wort nach anderen Wörtern, -, Feldname oder Anführungszeichen
+        const lastWord = query.match(/^((?:.*[\s":])?-?)([^\s":-][^\s":]+)$/u);
+        if (lastWord && lastWord[1]) {
+            const [, head, word] = lastWord;
+            trie.complete(word, this.maxSuggestions).forEach(entry => {
+                // Mehrwort-Begriffe hinter Feldname oder - als Phrase
+                const term = /[:-]$/.test(head) && entry.term.includes(' ') ? `"${entry.term}"` : entry.term;
+                add(head + term, entry.type);
+            });
+        }
+
         return suggestions;
     }
 
+    /**
+     * Zeigt die Vorschlagsliste (ARIA-Combobox: Fokus bleibt im Suchfeld, aktive Option per aria-activedescendant)
+     */
+    displaySuggestions(suggestions, query) {
+        if (!this.suggestionList) return;
+
+        const types = {
+            history: { icon: '🕘', label: 'Verlauf' },
+            module: { icon: '📄', label: 'Modul' },
+            section: { icon: '📍', label: 'Abschnitt' },
+            term: { icon: '📖', label: 'Fachbegriff' },
+            word: { icon: '🔑', label: 'Begriff' }
+        };
+        const typedWord = query.trim().split(/[\s":]+/).pop().replace(/^-/, '');
+
+        this.suggestions = suggestions;
+        this.activeSuggestion = -1;
+        this.suggestionList.innerHTML = suggestions.map((suggestion, index) => `
+            <li class="search-suggestion-option" id="search-suggestion-${index}" role="option" aria-selected="false" data-index="${index}">
+                <span class="search-suggestion-icon" aria-hidden="true">${types[suggestion.type].icon}</span>
+                <span class="search-suggestion-term">${this.highlightText(suggestion.term, typedWord)}</span>
+                <span class="search-suggestion-type">${types[suggestion.type].label}</span>
+            </li>
+        `).join('');
+
+        this.suggestionList.hidden = false;
+        this.searchInput.setAttribute('aria-expanded', 'true');
+        this.searchInput.removeAttribute('aria-activedescendant');
+    }
+
+    isSuggestionListOpen() {
+        return Boolean(this.suggestionList) && !this.suggestionList.hidden;
+    }
+
+    /**
+     * Bewegt die aktive Option; über die erste Option hinaus geht es zurück ins Suchfeld
+     */
+    moveSuggestion(direction) {
+        const options = this.suggestionList.querySelectorAll('.search-suggestion-option');
+        const next = this.activeSuggestion + direction;
+        this.activeSuggestion = next < -1 ? options.length - 1 : next >= options.length ? -1 : next;
+
+        options.forEach((option, index) => {
+            const isActive = index === this.activeSuggestion;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+            if (isActive) option.scrollIntoView({ block: 'nearest' });
+        });
+
+        if (this.activeSuggestion >= 0) {
+            this.searchInput.setAttribute('aria-activedescendant', options[this.activeSuggestion].id);
+        } else {
+            this.searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Übernimmt einen Vorschlag ins Suchfeld und sucht sofort
+     */
+    selectSuggestion(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
+
+        clearTimeout(this.debounceTimer);
+        this.hideSearchSuggestions();
+        this.search(suggestion.term);
+    }
+
     /**
      * Filtert Ergebnisse nach Kategorie
      */
     filterByCategory(categoryKey) {
-        this.currentFilter = categoryKey;
+        this.setFilter(categoryKey);
         
         if (this.currentQuery.length >= 2) {
             this.performSearch(this.currentQuery);
         }
     }
 
+    /**
+     * Setzt den Kategorie-Filter samt aktiven Buttons, ohne zu suchen. Unbekannte Kategorien
+     * werden ignoriert; bei einer Änderung folgt das Event "categoryfilterchange" (Modulraster, URL)
+     */
+    setFilter(filter) {
+        const known = Array.from(this.filterButtons, btn => btn.dataset.category);
+        const categories = this.normalizeFilter(filter)
+            .filter(key => known.length === 0 || known.includes(key));
+        const changed = !this.isSameFilter(categories, this.selectedCategories);
+
+        this.selectedCategories = categories;
+        this.filterButtons.forEach(btn => {
+            const active = btn.dataset.category === 'all'
+                ? categories.length === 0
+                : categories.includes(btn.dataset.category);
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', active);
+        });
+
+        if (changed) {
+            window.dispatchEvent(new CustomEvent('categoryfilterchange', { detail: { categories: [...categories] } }));
+        }
+    }
+
+    /**
+     * Kategorie-Filter als sortierte Liste von Schlüsseln, leer = alle. Versteht auch ältere
+     * Einträge mit einem einzelnen Schlüssel ("all", "notfaelle") und "a,b" aus data-Attributen
+     */
+    normalizeFilter(filter) {
+        const keys = Array.isArray(filter) ? filter : String(filter || '').split(',');
+        return Array.from(new Set(keys.map(key => key.trim()).filter(key => key && key !== 'all'))).sort();
+    }
+
+    isSameFilter(a, b) {
+        return this.normalizeFilter(a).join(',') === this.normalizeFilter(b).join(',');
+    }
+
+    matchesFilter(category) {
+        return this.selectedCategories.length === 0 || this.selectedCategories.includes(category);
+    }
+
+    countByCategory(results) {
+        const counts = new Map();
+        results.forEach(result => counts.set(result.category, (counts.get(result.category) || 0) + 1));
+        return counts;
+    }
+
+    /**
+     * Zahl an jedem Filter-Button: Treffer der laufenden Suche, sonst Module der Kategorie
+     */
+    updateFilterCounts() {
+        const registry = this.autoDiscovery.registry;
+        const isSearch = this.categoryCounts !== null;
+        const countFor = category => {
+            if (category === 'all') {
+                return isSearch
+                    ? Array.from(this.categoryCounts.values()).reduce((sum, count) => sum + count, 0)
+                    : registry.totalModules || 0;
+            }
+            return isSearch ? this.categoryCounts.get(category) || 0 : registry.categories?.[category]?.length || 0;
+        };
+
+        this.filterButtons.forEach(btn => {
+            const count = countFor(btn.dataset.category);
+            let badge = btn.querySelector('.filter-count');
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'filter-count';
+                btn.appendChild(badge);
+            }
+            badge.textContent = count;
+            btn.classList.toggle('no-results', count === 0);
+            btn.title = isSearch ? `${count} Treffer` : `${count} Modul${count !== 1 ? 'e' : ''}`;
+        });
+    }
+
     /**
      * Zeigt Lade-Animation
      */
@@ -445,15 +873,16 @@ class SmartSearch {
     /**
      * Zeigt "Keine Ergebnisse" Nachricht
      */
-    showNoResults(query) {
+    showNoResults(query, suggestion = null) {
         if (!this.searchResultsList) return;
         
         this.searchResultsList.innerHTML = `
+            ${suggestion ? this.createSuggestionBox(suggestion) : ''}
             <div class="empty-state">
                 <div class="icon" style="font-size: 3rem; margin-bottom: 1rem;">🔍</div>
                 <h3 style="margin-bottom: 0.5rem;">Keine Ergebnisse gefunden</h3>
                 <p style="color: var(--text-secondary); margin-bottom: 1rem;">
-                    Keine Module für "${query}" gefunden.
+                    Keine Module für "${HtmlUtils.escape(query)}" gefunden.
                 </p>
                 <div style="font-size: 0.9rem; color: var(--text-muted);">
                     <p><strong>Tipps:</strong></p>
@@ -490,15 +919,26 @@ class SmartSearch {
         if (this.searchResults) {
             this.searchResults.classList.remove('show');
         }
+        this.categoryCounts = null;
+        this.updateFilterCounts();
     }
 
     /**
      * Versteckt Suchvorschläge mit Verzögerung
      */
     hideSearchSuggestions(delay = 0) {
-        setTimeout(() => {
-            // TODO: Verstecke Suggestions Dropdown
-        }, delay);
+        const hide = () => {
+            if (!this.suggestionList) return;
+
+            this.suggestionList.hidden = true;
+            this.suggestionList.innerHTML = '';
+            this.suggestions = [];
+            this.activeSuggestion = -1;
+            this.searchInput.setAttribute('aria-expanded', 'false');
+            this.searchInput.removeAttribute('aria-activedescendant');
+        };
+
+        delay > 0 ? setTimeout(hide, delay) : hide();
     }
 
     /**
@@ -510,34 +950,30 @@ class SmartSearch {
         }
     }
 
-    /**
-     * Baut initiale Suchvorschläge auf
-     */
-    buildSuggestions() {
-        // Häufige medizinische Begriffe als Vorschläge
-        const commonTerms = [
-            'Aminosäuren', 'Organische Säuren', 'Mitochondriopathien', 'Glykogenosen',
-            'Fettsäureoxidation', 'Harnstoffzyklus', 'Lysosomale Speicherkrankheiten',
-            'Phenylketonurie', 'Tyrosinämie', 'Homocystinurie', 'Galaktosämie',
-            'Morbus Fabry', 'Morbus Gaucher', 'CDG', 'Peroxisomale Erkrankungen'
-        ];
-        
-        commonTerms.forEach(term => this.searchSuggestions.add(term));
-    }
-
     /**
      * Fügt Suche zur Historie hinzu
      */
     addToSearchHistory(query, resultCount) {
+        const now = Date.now();
+        const previous = this.searchHistory.find(item => item.query === query);
         const historyItem = {
             query,
             resultCount,
-            timestamp: Date.now(),
-            filter: this.currentFilter
+            timestamp: now,
+            filter: [...this.selectedCategories],
+            count: previous ? (previous.count || 1) + 1 : 1 // Anzahl Suchen, für "Häufig gesucht"
         };
         
         // Duplikate entfernen
         this.searchHistory = this.searchHistory.filter(item => item.query !== query);
+
+        // Beim Tippen entstehen Zwischenstände ("Hyper", "Hyperammon") - die jüngste Suche ersetzen,
+        // wenn sie einmalig war, kurz zuvor lief und ein Anfang der neuen ist (oder umgekehrt)
+        const latest = this.searchHistory[0];
+        if (latest && (latest.count || 1) === 1 && now - latest.timestamp < 30000 &&
+            (query.startsWith(latest.query) || latest.query.startsWith(query))) {
+            this.searchHistory.shift();
+        }
         
         // Neues Item hinzufügen
         this.searchHistory.unshift(historyItem);
@@ -572,30 +1008,128 @@ class SmartSearch {
         } catch (error) {
             console.warn('⚠️ Suchhistorie konnte nicht gespeichert werden:', error);
         }
+        this.notifyHistoryChange();
+    }
+
+    /**
+     * Entfernt eine Anfrage aus der Suchhistorie
+     */
+    removeFromSearchHistory(query) {
+        this.searchHistory = this.searchHistory.filter(item => item.query !== query);
+        this.saveSearchHistory();
+    }
+
+    clearSearchHistory() {
+        this.searchHistory = [];
+        this.saveSearchHistory();
+        console.log('🕘 Suchhistorie gelöscht');
+    }
+
+    /**
+     * Lädt gespeicherte Suchen: { searches: [{ id, query, filter, createdAt }], lastModified }
+     * filter ist eine Liste von Kategorien (ältere Einträge: ein einzelner Schlüssel)
+     */
+    loadSavedSearches() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('savedSearches') || 'null');
+            return Array.isArray(saved?.searches) ? saved : { searches: [], lastModified: null };
+        } catch (error) {
+            console.warn('⚠️ Gespeicherte Suchen konnten nicht geladen werden:', error);
+            return { searches: [], lastModified: null };
+        }
+    }
+
+    /**
+     * Speichert gespeicherte Suchen; lastModified entscheidet beim Synchronisieren
+     */
+    storeSavedSearches() {
+        this.savedSearches.lastModified = new Date().toISOString();
+        try {
+            localStorage.setItem('savedSearches', JSON.stringify(this.savedSearches));
+        } catch (error) {
+            console.warn('⚠️ Gespeicherte Suchen konnten nicht gespeichert werden:', error);
+        }
+        this.notifyHistoryChange();
+    }
+
+    isSavedSearch(query, filter = []) {
+        return this.savedSearches.searches.some(search => search.query === query && this.isSameFilter(search.filter, filter));
+    }
+
+    /**
+     * Merkt eine Anfrage mit Kategorie-Filter vor
+     */
+    saveSearch(query, filter = []) {
+        if (!query || this.isSavedSearch(query, filter)) return;
+
+        this.savedSearches.searches.push({ id: `${Date.now()}`, query, filter: this.normalizeFilter(filter), createdAt: Date.now() });
+        this.storeSavedSearches();
+        console.log(`⭐ Suche gespeichert: "${query}"`);
+    }
+
+    removeSavedSearch(id) {
+        this.savedSearches.searches = this.savedSearches.searches.filter(search => search.id !== id);
+        this.storeSavedSearches();
+    }
+
+    /**
+     * Führt eine gespeicherte oder frühere Suche mit ihrem Filter aus
+     */
+    runSearch(query, filter = []) {
+        clearTimeout(this.debounceTimer);
+        this.setFilter(filter);
+        this.search(query);
+    }
+
+    /**
+     * Aktuelle Trefferzahl einer Anfrage im Content-Index (für gespeicherte Suchen)
+     */
+    countResults(query, filter = []) {
+        return this.contentIndexer.search(query, {
+            maxResults: Infinity,
+            categoryFilter: this.normalizeFilter(filter),
+            includeExcerpts: false
+        }).length;
+    }
+
+    notifyHistoryChange() {
+        window.dispatchEvent(new CustomEvent('searchhistorychange'));
     }
 
     /**
-     * Trackt Klicks auf Suchergebnisse
+     * Trackt Klicks auf Suchergebnisse (Position für die Korrektur des Positions-Bias)
      */
     trackSearchResultClick(moduleId, query) {
-        const clickData = {
-            moduleId,
-            query,
-            timestamp: Date.now(),
-            position: Array.from(this.searchResultsList.querySelectorAll('.search-result-item'))
-                .findIndex(item => item.dataset.moduleId === moduleId)
-        };
-        
-        // In Analytics speichern (könnte später für Ranking-Verbesserungen genutzt werden)
-        const analytics = JSON.parse(localStorage.getItem('searchAnalytics') || '[]');
-        analytics.push(clickData);
-        
-        // Auf 1000 Einträge begrenzen
-        if (analytics.length > 1000) {
-            analytics.splice(0, analytics.length - 1000);
+        const position = Array.from(this.searchResultsList.querySelectorAll('.search-result-item'))
+            .findIndex(item => item.dataset.moduleId === moduleId);
+
+        this.clickModel.recordClick(query, moduleId, position);
+        this.updateClickRankingStatus();
+    }
+
+    /**
+     * Nach Umschalten oder Zurücksetzen: Status aktualisieren und offene Suche neu sortieren
+     */
+    refreshClickRanking() {
+        this.updateClickRankingStatus();
+        this.refreshResults();
+    }
+
+    /**
+     * Wiederholt die angezeigte Suche, z.B. nach dem Speichern einer Notiz
+     */
+    refreshResults() {
+        if (this.currentQuery.length >= 2 && this.searchResults?.classList.contains('show')) {
+            this.performSearch(this.currentQuery);
         }
-        
-        localStorage.setItem('searchAnalytics', JSON.stringify(analytics));
+    }
+
+    updateClickRankingStatus() {
+        if (!this.clickRankingStatus) return;
+
+        const count = this.clickModel.getEventCount();
+        this.clickRankingStatus.textContent = `${count} Klick${count !== 1 ? 's' : ''} gespeichert`;
+        if (this.clickRankingReset) this.clickRankingReset.disabled = count === 0;
     }
 
     /**
@@ -620,6 +1154,13 @@ class SmartSearch {
         return categories[categoryKey] || { title: 'Unbekannt', icon: '❓' };
     }
 
+    /**
+     * Titel der Kategorien eines Filters, z.B. "Notfälle, Befundung"
+     */
+    getFilterTitle(filter) {
+        return this.normalizeFilter(filter).map(key => this.getCategoryInfo(key).title).join(', ');
+    }
+
     getResultCategories(results) {
         const categories = new Set();
         results.forEach(result => {
@@ -655,8 +1196,9 @@ class SmartSearch {
     getPopularQueries(limit = 10) {
         const queryCounts = new Map();
         
+        // Jede Anfrage steht nur einmal in der Historie, count zählt ihre Wiederholungen
         this.searchHistory.forEach(item => {
-            queryCounts.set(item.query, (queryCounts.get(item.query) || 0) + 1);
+            queryCounts.set(item.query, (queryCounts.get(item.query) || 0) + (item.count || 1));
         });
         
         return Array.from(queryCounts.entries())
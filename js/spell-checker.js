@@ -0,0 +1,132 @@
+// js/spell-checker.js
+/**
+ * Rechtschreibvorschläge nach SymSpell (Garbe): Für jedes Wort des Vokabulars werden
+ * Löschvarianten bis zum maximalen Editierabstand vorberechnet. Eine Anfrage erzeugt
+ * nur ihre eigenen Löschvarianten und findet Kandidaten per Nachschlagen statt per Vollvergleich.
+ * Verglichen wird in normalisierter Schreibweise (ä -> ae), vorgeschlagen die Originalschreibweise.
+ */
+class SpellChecker {
+    constructor(options = {}) {
+        this.germanAnalyzer = options.germanAnalyzer || new GermanAnalyzer();
+        this.maxEditDistance = options.maxEditDistance || 2;
+        // Nur der Wortanfang wird in Löschvarianten zerlegt - begrenzt den Speicher bei langen Komposita
+        this.prefixLength = options.prefixLength || 7;
+        this.minWordLength = 4;
+
+        this.words = new Map(); // normalisiert -> { forms: Map(Schreibweise -> Häufigkeit), count }
+        this.deletes = new Map(); // Löschvariante -> Set normalisierter Wörter
+    }
+
+    /**
+     * Nimmt Wörter (kleingeschrieben, Originalschreibweise) ins Vokabular auf
+     */
+    build(words) {
+        words.forEach(word => this.addWord(word));
+        console.log(`🔤 Rechtschreibprüfung: ${this.words.size} Wörter, ${this.deletes.size} Löschvarianten`);
+    }
+
+    addWord(word) {
+        if (word.length < this.minWordLength) return;
+
+        const key = this.germanAnalyzer.normalize(word);
+        let entry = this.words.get(key);
+        if (!entry) {
+            entry = { forms: new Map(), count: 0 };
+            this.words.set(key, entry);
+
+            this.createDeletes(key).forEach(variant => {
+                if (!this.deletes.has(variant)) this.deletes.set(variant, new Set());
+                this.deletes.get(variant).add(key);
+            });
+        }
+
+        entry.count++;
+        entry.forms.set(word, (entry.forms.get(word) || 0) + 1);
+    }
+
+    has(word) {
+        return this.words.has(this.germanAnalyzer.normalize(word));
+    }
+
+    /**
+     * Kandidaten für ein Wort, nach Editierabstand und Häufigkeit sortiert
+     */
+    lookup(word) {
+        const key = this.germanAnalyzer.normalize(word);
+        if (key.length < this.minWordLength) return [];
+
+        // Kurze Wörter nur um einen Buchstaben korrigieren
+        const maxDistance = key.length <= 5 ? 1 : this.maxEditDistance;
+        const candidates = new Set();
+
+        this.createDeletes(key, maxDistance).forEach(variant => {
+            if (this.words.has(variant)) candidates.add(variant);
+            this.deletes.get(variant)?.forEach(candidate => candidates.add(candidate));
+        });
+
+        return Array.from(candidates)
+            .filter(candidate => Math.abs(candidate.length - key.length) <= maxDistance)
+            .map(candidate => ({ key: candidate, distance: this.distance(key, candidate) }))
+            .filter(candidate => candidate.distance <= maxDistance)
+            .map(({ key: candidate, distance }) => {
+                const entry = this.words.get(candidate);
+                return { word: this.getPreferredForm(entry), distance, count: entry.count };
+            })
+            .sort((a, b) => a.distance - b.distance || b.count - a.count);
+    }
+
+    /**
+     * Häufigste Schreibweise eines Wortes (z.B. "hyperammonämie" statt "hyperammonaemie")
+     */
+    getPreferredForm(entry) {
+        return Array.from(entry.forms.entries()).sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    /**
+     * Alle Varianten des Wortanfangs mit bis zu maxDistance gelöschten Buchstaben (inkl. des Anfangs selbst)
+     */
+    createDeletes(word, maxDistance = this.maxEditDistance) {
+        const variants = new Set([word.slice(0, this.prefixLength)]);
+        let current = Array.from(variants);
+
+        for (let distance = 0; distance < maxDistance; distance++) {
+            const next = [];
+            current.forEach(variant => {
+                for (let i = 0; i < variant.length; i++) {
+                    const shorter = variant.slice(0, i) + variant.slice(i + 1);
+                    if (!variants.has(shorter)) {
+                        variants.add(shorter);
+                        next.push(shorter);
+                    }
+                }
+            });
+            current = next;
+        }
+
+        return variants;
+    }
+
+    /**
+     * Editierabstand mit Vertauschung benachbarter Buchstaben (Optimal String Alignment)
+     */
+    distance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+}
+
+// Global verfügbar machen
+window.SpellChecker = SpellChecker;
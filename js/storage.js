@@ -0,0 +1,274 @@
+// js/storage.js
+/**
+ * IndexedDB-Speicherschicht für Registry, Suchindex und Sync-Daten.
+ * Module und Index liegen als ein Datensatz pro Modul vor; geschrieben werden nur Änderungen.
+ */
+class MetabolicStorage {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'metabolic-base';
+        this.dbVersion = 1;
+
+        // Objektspeicher -> keyPath (null = Schlüssel wird beim Schreiben übergeben)
+        this.stores = {
+            modules: 'id',
+            searchIndex: 'moduleId',
+            meta: null
+        };
+
+        // Zuletzt geschriebener Stand je Speicher, für inkrementelle Schreibvorgänge
+        this.snapshots = {};
+        this.listeners = new Set();
+        this.db = null;
+
+        // Tab-Synchronisation (ersetzt die storage-Events von localStorage)
+        this.channel = typeof BroadcastChannel !== 'undefined'
+            ? new BroadcastChannel('metabolic-base-storage')
+            : null;
+        if (this.channel) {
+            this.channel.onmessage = event => this.handleRemoteChange(event.data);
+        }
+
+        this.ready = this.open();
+    }
+
+    /** Gemeinsame Instanz für alle Klassen einer Seite */
+    static shared() {
+        if (!MetabolicStorage.instance) {
+            MetabolicStorage.instance = new MetabolicStorage();
+        }
+        return MetabolicStorage.instance;
+    }
+
+    /** Öffnet die Datenbank, null falls IndexedDB nicht verfügbar ist */
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('⚠️ IndexedDB nicht verfügbar - Daten werden nur im Arbeitsspeicher gehalten');
+            return null;
+        }
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Object.entries(this.stores).forEach(([name, keyPath]) => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, keyPath ? { keyPath } : undefined);
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Neuere Version in anderem Tab nicht blockieren
+            this.db.onversionchange = () => this.db.close();
+            console.log('🗄️ IndexedDB geöffnet');
+        } catch (error) {
+            console.warn('⚠️ IndexedDB konnte nicht geöffnet werden - Daten werden nur im Arbeitsspeicher gehalten:', error);
+            this.db = null;
+        }
+
+        return this.db;
+    }
+
+    isAvailable() {
+        return !!this.db;
+    }
+
+    /** Liest einen Datensatz */
+    async get(storeName, key) {
+        const db = await this.ready;
+        if (!db) return undefined;
+
+        const store = db.transaction(storeName).objectStore(storeName);
+        return this.promisify(store.get(key));
+    }
+
+    /** Liest alle Datensätze eines Speichers */
+    async getAll(storeName) {
+        const db = await this.ready;
+        if (!db) return [];
+
+        const store = db.transaction(storeName).objectStore(storeName);
+        const records = await this.promisify(store.getAll());
+
+        if (this.stores[storeName]) {
+            this.snapshots[storeName] = new Map(
+                records.map(record => [record[this.stores[storeName]], this.fingerprint(record)])
+            );
+        }
+        return records;
+    }
+
+    /** Schreibt einen einzelnen Wert in den meta-Speicher */
+    async put(storeName, value, key) {
+        const db = await this.ready;
+        if (!db) return false;
+
+        await this.runTransaction([storeName], tx => {
+            const store = tx.objectStore(storeName);
+            this.stores[storeName] ? store.put(value) : store.put(value, key);
+        });
+        this.notifyChange(storeName);
+        return true;
+    }
+
+    async delete(storeName, key) {
+        const db = await this.ready;
+        if (!db) return false;
+
+        await this.runTransaction([storeName], tx => tx.objectStore(storeName).delete(key));
+        this.snapshots[storeName]?.delete(key);
+        this.notifyChange(storeName);
+        return true;
+    }
+
+    async clear(storeName) {
+        const db = await this.ready;
+        if (!db) return false;
+
+        await this.runTransaction([storeName], tx => tx.objectStore(storeName).clear());
+        if (this.stores[storeName]) this.snapshots[storeName] = new Map();
+        this.notifyChange(storeName);
+        return true;
+    }
+
+    /**
+     * Gleicht einen Speicher mit der übergebenen Datensatzliste ab:
+     * nur geänderte Datensätze werden geschrieben, fehlende gelöscht.
+     * metaEntries (key -> value) landen in derselben Transaktion im meta-Speicher.
+     */
+    async writeRecords(storeName, records, metaEntries = {}) {
+        const db = await this.ready;
+        if (!db) return null;
+
+        const keyPath = this.stores[storeName];
+        if (!this.snapshots[storeName]) {
+            await this.getAll(storeName);
+        }
+
+        const previous = this.snapshots[storeName];
+        const next = new Map(records.map(record => [record[keyPath], this.fingerprint(record)]));
+        const changed = records.filter(record => previous.get(record[keyPath]) !== next.get(record[keyPath]));
+        const removed = [...previous.keys()].filter(key => !next.has(key));
+
+        await this.runTransaction([storeName, 'meta'], tx => {
+            const store = tx.objectStore(storeName);
+            changed.forEach(record => store.put(record));
+            removed.forEach(key => store.delete(key));
+
+            const meta = tx.objectStore('meta');
+            Object.entries(metaEntries).forEach(([key, value]) => meta.put(value, key));
+        });
+
+        this.snapshots[storeName] = next;
+        this.notifyChange(storeName);
+
+        return { written: changed.length, deleted: removed.length };
+    }
+
+    /** Führt eine Transaktion aus und meldet Speicherplatz-Fehler */
+    async runTransaction(storeNames, operation) {
+        const db = await this.ready;
+
+        try {
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(storeNames, 'readwrite');
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error || new Error('Transaktion abgebrochen'));
+                operation(tx);
+            });
+        } catch (error) {
+            if (error?.name === 'QuotaExceededError') {
+                this.reportQuotaExceeded(error);
+            }
+            throw error;
+        }
+    }
+
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /** Vergleichswert eines Datensatzes (Sets und Maps als Arrays) */
+    fingerprint(record) {
+        return JSON.stringify(record, (key, value) => {
+            if (value instanceof Set) return Array.from(value);
+            if (value instanceof Map) return Array.from(value.entries());
+            return value;
+        });
+    }
+
+    /** Belegter und verfügbarer Speicherplatz laut Browser */
+    async getQuotaInfo() {
+        if (!navigator.storage?.estimate) return null;
+
+        try {
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            return {
+                usage,
+                quota,
+                percentUsed: quota ? Math.round((usage / quota) * 100) : 0
+            };
+        } catch (error) {
+            console.warn('⚠️ Speicherplatz konnte nicht ermittelt werden:', error);
+            return null;
+        }
+    }
+
+    /** Meldet einen vollen Speicher an die Oberfläche */
+    async reportQuotaExceeded(error) {
+        const quota = await this.getQuotaInfo();
+        console.error('❌ Speicherplatz erschöpft:', error, quota);
+        window.dispatchEvent(new CustomEvent('storagequotaexceeded', { detail: { error, quota } }));
+    }
+
+    /**
+     * Übernimmt einen alten localStorage-Eintrag einmalig nach IndexedDB.
+     * migrate() muss true liefern, wenn der Wert gespeichert wurde - nur dann wird der Eintrag
+     * gelöscht. Bei false oder einem Fehler bleibt er für den nächsten Versuch erhalten.
+     */
+    async migrateLegacyItem(key, migrate) {
+        const db = await this.ready;
+        const raw = localStorage.getItem(key);
+        if (!db || raw === null) return false;
+
+        try {
+            if (await migrate(JSON.parse(raw)) !== true) {
+                throw new Error('Speichern in IndexedDB nicht bestätigt');
+            }
+            localStorage.removeItem(key);
+            console.log(`📦 ${key} aus localStorage nach IndexedDB übernommen`);
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Migration von ${key} fehlgeschlagen:`, error);
+            return false;
+        }
+    }
+
+    /** Registriert einen Callback für Änderungen aus anderen Tabs */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notifyChange(storeName) {
+        this.channel?.postMessage({ storeName });
+    }
+
+    handleRemoteChange(data) {
+        if (!data?.storeName) return;
+
+        // Anderer Tab hat geschrieben - eigener Stand ist nicht mehr verlässlich
+        delete this.snapshots[data.storeName];
+        this.listeners.forEach(callback => callback(data.storeName));
+    }
+}
+
+// Global verfügbar machen
+window.MetabolicStorage = MetabolicStorage;
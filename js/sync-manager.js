@@ -1,8 +1,10 @@
 // js/sync-manager.js
 class SyncManager {
-    constructor() {
-        this.autoDiscovery = new AutoDiscovery();
-        this.contentIndexer = new ContentIndexer();
+    constructor(options = {}) {
+        // Gemeinsame Instanzen der Startseite verwenden, falls übergeben
+        this.storage = options.storage || MetabolicStorage.shared();
+        this.autoDiscovery = options.autoDiscovery || new AutoDiscovery();
+        this.contentIndexer = options.contentIndexer || new ContentIndexer({ autoDiscovery: this.autoDiscovery });
         
        this.syncConfig = {
     autoSyncInterval: 0, // DEAKTIVIERT - keine automatische Sync
@@ -12,7 +14,7 @@ class SyncManager {
     cloudEnabled: false
 };
         
-        this.syncHistory = this.loadSyncHistory();
+        this.syncHistory = [];
         this.deviceInfo = this.getDeviceInfo();
         this.syncTimer = null;
         this.isOnline = navigator.onLine;
@@ -24,11 +26,15 @@ class SyncManager {
     /**
      * Initialisiert den Sync-Manager
      */
-    init() {
+    async init() {
         console.log('🔄 Sync-Manager wird initialisiert...');
         
+        // Gespeicherte Daten abwarten
+        await Promise.all([this.autoDiscovery.ready, this.contentIndexer.ready]);
+        this.syncHistory = [...this.syncHistory, ...await this.loadSyncHistory()];
+        
         // Erste Synchronisation
-        this.performInitialSync();
+        await this.performInitialSync();
         
    
         // Online/Offline Events überwachen
@@ -51,12 +57,8 @@ class SyncManager {
             }
         });
 
-        // Storage Events für Tab-Synchronisation
-        window.addEventListener('storage', (e) => {
-            if (e.key === 'moduleRegistry' || e.key === 'searchIndex') {
-                this.handleStorageChange(e);
-            }
-        });
+        // Änderungen aus anderen Tabs (BroadcastChannel der Speicherschicht)
+        this.storage.onChange(storeName => this.handleStorageChange(storeName));
 
         // Vor dem Schließen syncen
         window.addEventListener('beforeunload', () => {
@@ -123,7 +125,7 @@ class SyncManager {
             const currentRegistry = await this.autoDiscovery.scanForModules();
             
             // Prüfe auf neue Module in anderen Tabs/Geräten
-            const savedRegistry = this.loadRemoteRegistry();
+            const savedRegistry = await this.loadRemoteRegistry();
             
             if (savedRegistry && savedRegistry.lastUpdate !== currentRegistry.lastUpdate) {
                 // Merge Module aus verschiedenen Quellen
@@ -131,13 +133,13 @@ class SyncManager {
                 
                 // Registry aktualisieren
                 this.autoDiscovery.registry = mergedRegistry;
-                this.autoDiscovery.saveRegistry();
+                await this.autoDiscovery.saveRegistry();
                 
                 console.log('🔄 Module-Registry zusammengeführt');
             }
             
             // Remote-Registry aktualisieren
-            this.saveRemoteRegistry(currentRegistry);
+            await this.saveRemoteRegistry(currentRegistry);
             
         } catch (error) {
             console.error('❌ Fehler beim Module-Sync:', error);
@@ -152,16 +154,8 @@ class SyncManager {
         console.log('🔍 Synchronisiere Content-Index...');
         
         try {
-            const indexStats = this.contentIndexer.getIndexStats();
-            const lastIndexUpdate = localStorage.getItem('lastIndexUpdate');
-            const registryUpdate = this.autoDiscovery.registry.lastUpdate;
-            
-            // Index neu aufbauen wenn Module neuer sind
-            if (!lastIndexUpdate || new Date(registryUpdate) > new Date(lastIndexUpdate)) {
-                console.log('🔄 Index wird neu aufgebaut...');
-                await this.contentIndexer.buildIndex();
-                localStorage.setItem('lastIndexUpdate', new Date().toISOString());
-            }
+            // Nur neue, geänderte und gelöschte Module neu indexieren
+            await this.contentIndexer.updateIndex();
             
         } catch (error) {
             console.error('❌ Fehler beim Index-Sync:', error);
@@ -177,14 +171,14 @@ class SyncManager {
         
         try {
             const userData = this.collectUserData();
-            const remoteUserData = this.loadRemoteUserData();
+            const remoteUserData = await this.loadRemoteUserData();
             
             if (remoteUserData) {
                 const mergedData = this.mergeUserData(userData, remoteUserData);
                 this.applyUserData(mergedData);
             }
             
-            this.saveRemoteUserData(userData);
+            await this.saveRemoteUserData(userData);
             
         } catch (error) {
             console.error('❌ Fehler beim User-Data-Sync:', error);
@@ -201,11 +195,14 @@ class SyncManager {
             lastModified: new Date().toISOString(),
             notes: {},
             progress: {},
+            progressUpdatedAt: JSON.parse(localStorage.getItem('progressUpdatedAt') || '{}'),
             settings: {
                 theme: localStorage.getItem('theme'),
                 syncConfig: this.syncConfig
             },
             searchHistory: JSON.parse(localStorage.getItem('searchHistory') || '[]'),
+            savedSearches: JSON.parse(localStorage.getItem('savedSearches') || 'null'),
+            moduleActivity: JSON.parse(localStorage.getItem('moduleActivity') || '{}'),
             analytics: JSON.parse(localStorage.getItem('searchAnalytics') || '[]')
         };
 
@@ -238,11 +235,22 @@ class SyncManager {
             }
         });
 
-        // Fortschritt: "completed" Status bevorzugen
+        // Fortschritt: je Modul der zuletzt gesetzte Status, damit "Wiederholen" und Zurücksetzen
+        // erhalten bleiben. Nur ohne Zeitpunkte (ältere Stände) wird "completed" bevorzugt.
+        const localTimes = local.progressUpdatedAt || {};
+        const remoteTimes = remote.progressUpdatedAt || {};
+        merged.progressUpdatedAt = { ...localTimes };
         Object.entries(remote.progress || {}).forEach(([moduleId, remoteProgress]) => {
             const localProgress = local.progress[moduleId];
-            if (remoteProgress === 'completed' || !localProgress) {
+            const localTime = localTimes[moduleId] || 0;
+            const remoteTime = remoteTimes[moduleId] || 0;
+            const remoteIsNewer = localTime || remoteTime
+                ? remoteTime > localTime
+                : remoteProgress === 'completed';
+
+            if (!localProgress || remoteIsNewer) {
                 merged.progress[moduleId] = remoteProgress;
+                if (remoteTime) merged.progressUpdatedAt[moduleId] = remoteTime;
             }
         });
 
@@ -261,6 +269,24 @@ class SyncManager {
             .sort((a, b) => b.timestamp - a.timestamp)
             .slice(0, 50);
 
+        // Gespeicherte Suchen als Ganzes: die zuletzt geänderte Liste gewinnt (sonst kämen gelöschte zurück)
+        if (remote.savedSearches && (!local.savedSearches ||
+            (remote.savedSearches.lastModified || '') > (local.savedSearches.lastModified || ''))) {
+            merged.savedSearches = remote.savedSearches;
+        }
+
+        // Lernzeiten: je Modul der höhere Wert - beide Seiten enthalten meist schon den zuletzt
+        // synchronisierten Stand, eine Summe würde ihn doppelt zählen
+        merged.moduleActivity = { ...(local.moduleActivity || {}) };
+        Object.entries(remote.moduleActivity || {}).forEach(([moduleId, remoteActivity]) => {
+            const localActivity = merged.moduleActivity[moduleId] || {};
+            merged.moduleActivity[moduleId] = {
+                timeSpent: Math.max(localActivity.timeSpent || 0, remoteActivity.timeSpent || 0),
+                visits: Math.max(localActivity.visits || 0, remoteActivity.visits || 0),
+                lastOpened: Math.max(localActivity.lastOpened || 0, remoteActivity.lastOpened || 0) || null
+            };
+        });
+
         merged.lastModified = new Date().toISOString();
         return merged;
     }
@@ -272,22 +298,36 @@ class SyncManager {
         // Notizen anwenden
         Object.entries(userData.notes).forEach(([moduleId, note]) => {
             localStorage.setItem(`notes_${moduleId}`, note);
+            this.contentIndexer.updateNote(moduleId, note);
         });
 
         // Fortschritt anwenden
         Object.entries(userData.progress).forEach(([moduleId, progress]) => {
             localStorage.setItem(`progress_${moduleId}`, progress);
         });
+        if (userData.progressUpdatedAt) {
+            localStorage.setItem('progressUpdatedAt', JSON.stringify(userData.progressUpdatedAt));
+        }
 
-        // Suchhistorie anwenden
+        // Suchhistorie und gespeicherte Suchen anwenden
         if (userData.searchHistory) {
             localStorage.setItem('searchHistory', JSON.stringify(userData.searchHistory));
         }
+        if (userData.savedSearches) {
+            localStorage.setItem('savedSearches', JSON.stringify(userData.savedSearches));
+        }
+
+        // Lernzeiten anwenden
+        if (userData.moduleActivity) {
+            localStorage.setItem('moduleActivity', JSON.stringify(userData.moduleActivity));
+        }
 
         // Settings anwenden
         if (userData.settings?.theme) {
             localStorage.setItem('theme', userData.settings.theme);
         }
+
+        window.dispatchEvent(new CustomEvent('userdataapplied'));
     }
 
     /**
@@ -296,12 +336,15 @@ class SyncManager {
     mergeRegistries(local, remote) {
         const merged = { ...local };
         
-        // Module aus Remote-Registry hinzufügen
+        // Module aus Remote-Registry übernehmen
         Object.values(remote.modules || {}).forEach(remoteModule => {
             const localModule = local.modules[remoteModule.id];
             
+            // Vom Scan nicht mehr gefundene Module gelten als gelöscht
+            if (!localModule) return;
+            
             // Neueres Modul bevorzugen
-            if (!localModule || new Date(remoteModule.lastModified) > new Date(localModule.lastModified)) {
+            if (new Date(remoteModule.lastModified) > new Date(localModule.lastModified)) {
                 merged.modules[remoteModule.id] = remoteModule;
                 
                 // In Kategorie einfügen
@@ -331,10 +374,10 @@ class SyncManager {
     /**
      * Startet automatische Synchronisation
      */
-    sstartAutoSync() {
-    // Automatische Synchronisation ist deaktiviert
-    console.log('🚫 Auto-Sync ist deaktiviert - nur manuelle Sync');
-}
+    startAutoSync() {
+        // Automatische Synchronisation ist deaktiviert
+        console.log('🚫 Auto-Sync ist deaktiviert - nur manuelle Sync');
+    }
 
 
     /**
@@ -372,7 +415,7 @@ class SyncManager {
      */
     async checkForNewModules() {
         const currentModules = Object.keys(this.autoDiscovery.registry.modules);
-        const remoteRegistry = this.loadRemoteRegistry();
+        const remoteRegistry = await this.loadRemoteRegistry();
         
         if (!remoteRegistry) return [];
         
@@ -414,18 +457,9 @@ class SyncManager {
     /**
      * Backup-Erinnerungen einrichten
      */
-   setupBackupReminders() {
-    // Keine Popup-Erinnerungen mehr
-    console.log('📅 Backup-Status wird über Button-Farbe angezeigt');
-}
-        
-        // Backup-Funktion hinzufügen
-        reminder.querySelector('button').onclick = () => {
-            this.createFullBackup();
-            reminder.remove();
-        };
-        
-        document.body.appendChild(reminder);
+    setupBackupReminders() {
+        // Keine Popup-Erinnerungen mehr
+        console.log('📅 Backup-Status wird über Button-Farbe angezeigt');
     }
 
     /**
@@ -468,21 +502,22 @@ class SyncManager {
     }
 
     /**
-     * Importiert vollständiges Backup
+     * Importiert vollständiges Backup - auch das Backup der Startseite (metabolic_base_backup)
      */
     async importFullBackup(file) {
         try {
             const text = await file.text();
             const backupData = JSON.parse(text);
             
-            if (backupData.type !== 'full_backup' || !backupData.version) {
+            if (!['full_backup', 'metabolic_base_backup'].includes(backupData.type) || !backupData.version) {
                 throw new Error('Ungültiges Backup-Format');
             }
+            const registry = backupData.registry || backupData.moduleRegistry;
 
             const shouldMerge = confirm(
-                `Backup von "${backupData.deviceInfo?.name || 'Unbekannt'}" importieren?\n\n` +
+                `Backup von "${backupData.deviceInfo?.name || backupData.deviceName || 'Unbekannt'}" importieren?\n\n` +
                 `Backup-Datum: ${new Date(backupData.timestamp).toLocaleString()}\n` +
-                `Module: ${backupData.registry?.totalModules || 0}\n\n` +
+                `Module: ${registry?.totalModules || 0}\n\n` +
                 `OK = Zusammenführen (empfohlen)\n` +
                 `Abbrechen = Abbruch`
             );
@@ -492,13 +527,13 @@ class SyncManager {
             console.log('📥 Importiere Vollbackup...');
 
             // Registry importieren
-            if (backupData.registry) {
-                this.autoDiscovery.importRegistry(backupData.registry);
+            if (registry) {
+                await this.autoDiscovery.importRegistry(registry);
             }
 
             // Search Index importieren
             if (backupData.searchIndex) {
-                this.contentIndexer.importIndex(backupData.searchIndex);
+                await this.contentIndexer.importIndex(backupData.searchIndex);
             }
 
             // User Data importieren
@@ -524,23 +559,21 @@ class SyncManager {
     /**
      * Storage-Änderungen behandeln (Tab-Sync)
      */
-    handleStorageChange(event) {
-        if (event.storageArea === localStorage) {
-            console.log('🔄 Storage-Änderung erkannt:', event.key);
-            
-            // Registry neu laden
-            if (event.key === 'moduleRegistry') {
-                this.autoDiscovery.loadRegistry();
-                if (window.app) {
-                    window.app.updateUI();
-                }
-            }
-            
-            // Search Index neu laden
-            if (event.key === 'searchIndex') {
-                this.contentIndexer.loadIndex();
+    async handleStorageChange(storeName) {
+        console.log('🔄 Storage-Änderung erkannt:', storeName);
+        
+        // Registry neu laden
+        if (storeName === 'modules') {
+            await this.autoDiscovery.loadRegistry();
+            if (window.app) {
+                window.app.updateUI();
             }
         }
+        
+        // Search Index neu laden
+        if (storeName === 'searchIndex') {
+            await this.contentIndexer.loadIndex();
+        }
     }
 
     /**
@@ -628,34 +661,50 @@ class SyncManager {
     }
 
     /**
-     * LocalStorage-basierte "Remote"-Funktionen
+     * Lokale "Remote"-Funktionen über die Speicherschicht
      * (In echter Implementierung würden diese eine echte Cloud-API verwenden)
      */
-    loadRemoteRegistry() {
-        const saved = localStorage.getItem('remoteRegistry');
-        return saved ? JSON.parse(saved) : null;
+    async loadRemoteRegistry() {
+        return await this.loadMetaItem('remoteRegistry') || null;
     }
 
     saveRemoteRegistry(registry) {
-        localStorage.setItem('remoteRegistry', JSON.stringify(registry));
+        return this.saveMetaItem('remoteRegistry', registry);
     }
 
-    loadRemoteUserData() {
-        const saved = localStorage.getItem('remoteUserData');
-        return saved ? JSON.parse(saved) : null;
+    async loadRemoteUserData() {
+        return await this.loadMetaItem('remoteUserData') || null;
     }
 
     saveRemoteUserData(userData) {
-        localStorage.setItem('remoteUserData', JSON.stringify(userData));
+        return this.saveMetaItem('remoteUserData', userData);
     }
 
-    loadSyncHistory() {
-        const saved = localStorage.getItem('syncHistory');
-        return saved ? JSON.parse(saved) : [];
+    async loadSyncHistory() {
+        return await this.loadMetaItem('syncHistory') || [];
     }
 
     saveSyncHistory() {
-        localStorage.setItem('syncHistory', JSON.stringify(this.syncHistory));
+        return this.saveMetaItem('syncHistory', this.syncHistory);
+    }
+
+    /** Liest einen Eintrag aus dem meta-Speicher (einmalig aus localStorage übernommen) */
+    async loadMetaItem(key) {
+        try {
+            await this.storage.migrateLegacyItem(key, value => this.storage.put('meta', value, key));
+            return await this.storage.get('meta', key);
+        } catch (error) {
+            console.warn(`⚠️ ${key} konnte nicht geladen werden:`, error);
+            return null;
+        }
+    }
+
+    async saveMetaItem(key, value) {
+        try {
+            await this.storage.put('meta', value, key);
+        } catch (error) {
+            console.warn(`⚠️ ${key} konnte nicht gespeichert werden:`, error);
+        }
     }
 
     /**
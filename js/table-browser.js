@@ -0,0 +1,197 @@
+// js/table-browser.js
+/**
+ * Ansicht "Tabellen" der Startseite: alle Tabellen aller Module aus dem Suchindex,
+ * filterbar nach Spaltenüberschriften. Jede Tabelle klappt an Ort und Stelle auf.
+ */
+class TableBrowser {
+    constructor(options = {}) {
+        // Gemeinsame Instanzen der Startseite verwenden, falls übergeben
+        this.contentIndexer = options.contentIndexer || new ContentIndexer();
+        this.autoDiscovery = options.autoDiscovery || new AutoDiscovery();
+
+        this.filterText = '';
+        this.openTables = new Set(); // aufgeklappte Tabellen (moduleId:index)
+
+        this.initializeUI();
+    }
+
+    /**
+     * Initialisiert Umschalter, Filterfeld und Liste
+     */
+    initializeUI() {
+        this.container = document.getElementById('tableBrowser');
+        this.toggleButton = document.getElementById('tableBrowserToggle');
+        this.filterInput = document.getElementById('tableFilterInput');
+        this.summary = document.getElementById('tableBrowserSummary');
+        this.list = document.getElementById('tableBrowserList');
+
+        if (!this.container) {
+            console.warn('⚠️ Tabellen-Ansicht nicht gefunden');
+            return;
+        }
+
+        this.toggleButton?.addEventListener('click', () => this.toggle());
+        this.filterInput.addEventListener('input', (e) => {
+            this.filterText = e.target.value;
+            this.render();
+        });
+        this.list.addEventListener('click', (e) => {
+            const header = e.target.closest('.table-item-header');
+            if (header) this.toggleTable(header.dataset.tableKey);
+        });
+
+        // Nach einer Indexierung die Liste aktualisieren
+        window.addEventListener('indexprogress', (e) => {
+            if (e.detail.state === 'done' && this.isOpen()) this.render();
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.container) && !this.container.hidden;
+    }
+
+    /**
+     * Blendet die Ansicht ein oder aus
+     */
+    async toggle(open = !this.isOpen()) {
+        if (!this.container) return;
+
+        this.container.hidden = !open;
+        this.toggleButton?.setAttribute('aria-expanded', String(open));
+        // Der Router hält die geöffnete Ansicht in der Adresse (?view=tables)
+        window.dispatchEvent(new CustomEvent('viewchange', { detail: { view: 'tables', open } }));
+        if (!open) return;
+
+        this.list.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+        await this.contentIndexer.ready;
+        this.render();
+        this.filterInput.focus();
+    }
+
+    /**
+     * Alle Tabellen aus dem Index, nach Modul und Position sortiert
+     */
+    getTables() {
+        return Object.values(this.contentIndexer.searchIndex.index)
+            .flatMap(content => content.sections
+                .filter(section => section.type === 'table')
+                .map(table => ({
+                    ...table,
+                    key: `${content.moduleId}:${table.index}`,
+                    moduleId: content.moduleId,
+                    moduleTitle: content.title
+                })))
+            .sort((a, b) => a.moduleTitle.localeCompare(b.moduleTitle, 'de') || a.index - b.index);
+    }
+
+    /**
+     * Filter: jedes Wort muss in einer Spaltenüberschrift vorkommen (Umlaute egal)
+     */
+    matchesFilter(table) {
+        const analyzer = this.contentIndexer.analyzer.germanAnalyzer;
+        const words = analyzer.normalize(this.filterText).split(/\s+/).filter(Boolean);
+        const headers = analyzer.normalize(table.headers.join(' '));
+
+        return words.every(word => headers.includes(word));
+    }
+
+    render() {
+        if (!this.list) return;
+
+        const tables = this.getTables();
+        const visible = tables.filter(table => this.matchesFilter(table));
+
+        this.summary.textContent = this.filterText.trim()
+            ? `${visible.length} von ${tables.length} Tabellen`
+            : `${tables.length} Tabelle${tables.length !== 1 ? 'n' : ''} in allen Modulen`;
+
+        if (visible.length === 0) {
+            this.list.innerHTML = `
+                <div class="empty-state">
+                    <div class="icon" style="font-size: 3rem; margin-bottom: 1rem;">📊</div>
+                    <p style="color: var(--text-secondary);">
+                        ${tables.length === 0 ? 'Noch keine Tabellen im Suchindex.' : 'Keine Tabelle mit passender Spaltenüberschrift.'}
+                    </p>
+                </div>
+            `;
+            return;
+        }
+
+        this.list.innerHTML = visible.map(table => this.createTableItem(table)).join('');
+    }
+
+    /**
+     * Kopfzeile mit Titel und Fundort; der Inhalt wird erst beim Aufklappen erzeugt
+     */
+    createTableItem(table) {
+        const isOpen = this.openTables.has(table.key);
+        const bodyId = `table-body-${table.key.replace(/[^\w-]/g, '-')}`;
+
+        return `
+            <article class="table-item">
+                <button class="table-item-header" data-table-key="${HtmlUtils.escape(table.key)}" aria-expanded="${isOpen}" aria-controls="${bodyId}">
+                    <span class="table-item-title">📊 ${HtmlUtils.escape(table.title)}</span>
+                    <span class="table-item-meta">
+                        📍 ${HtmlUtils.escape([table.moduleTitle, ...table.path].join(' › '))}
+                        · ${table.rows.length} Zeile${table.rows.length !== 1 ? 'n' : ''}
+                    </span>
+                    <span class="table-item-headers">${table.headers.map(header => this.highlightFilter(header)).join(' · ')}</span>
+                </button>
+                <div class="table-item-body" id="${bodyId}" ${isOpen ? '' : 'hidden'}>
+                    ${isOpen ? this.createTableHtml(table) : ''}
+                </div>
+            </article>
+        `;
+    }
+
+    createTableHtml(table) {
+        const module = this.autoDiscovery.getModule(table.moduleId);
+        const cell = (tag, text) => `<${tag}>${HtmlUtils.escape(text).replace(/\n/g, '<br>')}</${tag}>`;
+
+        return `
+            <div class="table-scroll">
+                <table class="table-browser-table">
+                    ${table.headers.length > 0 ? `<thead><tr>${table.headers.map(header => cell('th', header)).join('')}</tr></thead>` : ''}
+                    <tbody>
+                        ${table.rows.map(row => `<tr>${row.map((text, index) => cell(index === 0 ? 'th' : 'td', text)).join('')}</tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${module ? `<a class="table-item-link" href="${module.path}${table.anchor ? '#' + encodeURIComponent(table.anchor) : ''}" target="_blank" rel="noopener">Im Modul öffnen ↗</a>` : ''}
+        `;
+    }
+
+    /**
+     * Klappt eine Tabelle an Ort und Stelle auf oder zu
+     */
+    toggleTable(key) {
+        const item = Array.from(this.list.querySelectorAll('.table-item-header'))
+            .find(header => header.dataset.tableKey === key);
+        const table = this.getTables().find(candidate => candidate.key === key);
+        if (!item || !table) return;
+
+        const body = item.nextElementSibling;
+        const open = !this.openTables.has(key);
+        open ? this.openTables.add(key) : this.openTables.delete(key);
+
+        item.setAttribute('aria-expanded', String(open));
+        body.innerHTML = open ? this.createTableHtml(table) : '';
+        body.hidden = !open;
+    }
+
+    /**
+     * Markiert die Filterwörter in einer Spaltenüberschrift
+     */
+    highlightFilter(header) {
+        const analyzer = this.contentIndexer.analyzer.germanAnalyzer;
+        const words = analyzer.normalize(this.filterText).split(/\s+/).filter(Boolean);
+        const escaped = HtmlUtils.escape(header);
+        if (words.length === 0) return escaped;
+
+        const matches = words.some(word => analyzer.normalize(header).includes(word));
+        return matches ? `<mark>${escaped}</mark>` : escaped;
+    }
+}
+
+// Global verfügbar machen
+window.TableBrowser = TableBrowser;
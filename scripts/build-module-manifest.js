@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+// scripts/build-module-manifest.js - Erzeugt modules.json aus dem Ordner modules/
+//
+// Aufruf (im Projektverzeichnis): node scripts/build-module-manifest.js
+// Prüfen ohne Schreiben:           node scripts/build-module-manifest.js --check
+//   (Exit-Code 1, wenn modules.json nicht mehr zu den Moduldateien passt)
+//
+// Das Manifest wird von AutoDiscovery, ContentIndexer und dem Service Worker gelesen.
+// Nur wenn es fehlt, wird weiterhin nach Dateinamen geraten.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const MODULES_DIR = path.join(ROOT_DIR, 'modules');
+const OUTPUT_FILE = path.join(ROOT_DIR, 'modules.json');
+const MANIFEST_VERSION = '1.0';
+const EXCERPT_LENGTH = 500;
+
+const HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß'
+};
+
+/**
+ * Dekodiert die gängigen HTML-Entities
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return Number.isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        return HTML_ENTITIES[entity] ?? match;
+    });
+}
+
+// Bedienelemente und Seitenrahmen gehören nicht in den Auszug (wie im ContentAnalyzer)
+const SKIPPED_ELEMENTS = ['button', 'select', 'textarea', 'footer'];
+const SKIPPED_CLASSES = ['episode-bar'];
+
+/**
+ * Entfernt Elemente mit einer der Klassen samt Inhalt (verschachtelte gleichnamige Tags werden mitgezählt)
+ */
+function removeElementsByClass(html, className) {
+    const opening = new RegExp(`<(\\w+)\\b[^>]*\\bclass\\s*=\\s*["'][^"']*\\b${className}\\b[^"']*["'][^>]*>`, 'i');
+    let match;
+
+    while ((match = opening.exec(html)) !== null) {
+        const tags = new RegExp(`<(/?)${match[1]}\\b[^>]*>`, 'gi');
+        tags.lastIndex = match.index + match[0].length;
+        let depth = 1;
+        let end = html.length;
+
+        for (let tag = tags.exec(html); tag; tag = tags.exec(html)) {
+            depth += tag[1] ? -1 : 1;
+            if (depth === 0) {
+                end = tag.index + tag[0].length;
+                break;
+            }
+        }
+        html = html.slice(0, match.index) + ' ' + html.slice(end);
+    }
+    return html;
+}
+
+/**
+ * Entfernt Tags und normalisiert Leerraum
+ */
+function stripTags(html) {
+    return decodeEntities(
+        html
+            .replace(/<(script|style|template)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<!--[\s\S]*?-->/g, ' ')
+            .replace(/<[^>]+>/g, ' ')
+    ).replace(/\s+/g, ' ').trim();
+}
+
+function matchFirst(html, regex) {
+    const match = html.match(regex);
+    return match ? stripTags(match[1]) : '';
+}
+
+function getMetaContent(html, name) {
+    const tags = html.match(/<meta\b[^>]*>/gi) || [];
+    for (const tag of tags) {
+        if (new RegExp(`name\\s*=\\s*["']${name}["']`, 'i').test(tag)) {
+            const content = tag.match(/content\s*=\s*(["'])([\s\S]*?)\1/i);
+            return content ? decodeEntities(content[2]).trim() : '';
+        }
+    }
+    return '';
+}
+
+/**
+ * Extrahiert die Metadaten eines Moduls
+ */
+function extractModuleMetadata(html, fileName) {
+    const title = matchFirst(html, /<title[^>]*>([\s\S]*?)<\/title>/i)
+        || matchFirst(html, /<h1[^>]*>([\s\S]*?)<\/h1>/i)
+        || fileName.replace(/\.html$/, '');
+
+    const description = getMetaContent(html, 'description')
+        || matchFirst(html, /<h2[^>]*>([\s\S]*?)<\/h2>/i);
+
+    const keywords = getMetaContent(html, 'keywords')
+        .split(',')
+        .map(keyword => keyword.trim())
+        .filter(Boolean);
+
+    const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+    const visibleHtml = SKIPPED_CLASSES.reduce(
+        (result, className) => removeElementsByClass(result, className),
+        (body ? body[1] : html).replace(new RegExp(`<(${SKIPPED_ELEMENTS.join('|')})\\b[^>]*>[\\s\\S]*?<\\/\\1>`, 'gi'), ' ')
+    );
+    const excerpt = stripTags(visibleHtml).substring(0, EXCERPT_LENGTH);
+
+    return { title, description, keywords, excerpt };
+}
+
+/**
+ * Sammelt rekursiv alle HTML-Dateien eines Ordners
+ */
+function findHtmlFiles(directory) {
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name, 'de'))
+        .flatMap(entry => {
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) return findHtmlFiles(fullPath);
+            return entry.isFile() && entry.name.endsWith('.html') ? [fullPath] : [];
+        });
+}
+
+function buildManifest() {
+    const categoryFolders = fs.readdirSync(MODULES_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && /^\d+-/.test(entry.name))
+        .map(entry => entry.name)
+        .sort();
+
+    const categories = {};
+    const modules = [];
+
+    categoryFolders.forEach(folder => {
+        const category = folder.replace(/^\d+-/, '');
+        categories[folder] = category;
+
+        findHtmlFiles(path.join(MODULES_DIR, folder)).forEach(filePath => {
+            const buffer = fs.readFileSync(filePath);
+            const html = buffer.toString('utf8');
+            const relativePath = path.relative(ROOT_DIR, filePath).split(path.sep).join('/');
+
+            modules.push({
+                path: relativePath,
+                folder,
+                category,
+                ...extractModuleMetadata(html, path.basename(filePath)),
+                size: buffer.length,
+                hash: crypto.createHash('sha256').update(buffer).digest('hex')
+            });
+        });
+    });
+
+    return {
+        version: MANIFEST_VERSION,
+        generatedAt: new Date().toISOString(),
+        totalModules: modules.length,
+        categories,
+        modules
+    };
+}
+
+/**
+ * Vergleicht das vorhandene Manifest mit einem neu erzeugten (ohne generatedAt)
+ * und liefert die Pfade der fehlenden, entfernten oder geänderten Module
+ */
+function findStaleEntries(manifest) {
+    let existing;
+    try {
+        existing = JSON.parse(fs.readFileSync(OUTPUT_FILE, 'utf8'));
+    } catch (error) {
+        return [`${path.relative(ROOT_DIR, OUTPUT_FILE)} (${error.code === 'ENOENT' ? 'fehlt' : 'ungültig'})`];
+    }
+
+    const stale = [];
+    if (existing.version !== manifest.version
+        || JSON.stringify(existing.categories) !== JSON.stringify(manifest.categories)) {
+        stale.push('Version/Kategorien');
+    }
+
+    const existingModules = new Map((existing.modules || []).map(module => [module.path, module]));
+    manifest.modules.forEach(module => {
+        const previous = existingModules.get(module.path);
+        existingModules.delete(module.path);
+        if (JSON.stringify(previous) !== JSON.stringify(module)) stale.push(module.path);
+    });
+    existingModules.forEach((module, modulePath) => stale.push(`${modulePath} (entfernt)`));
+
+    return stale;
+}
+
+const manifest = buildManifest();
+const outputName = path.relative(ROOT_DIR, OUTPUT_FILE);
+
+if (process.argv.includes('--check')) {
+    const stale = findStaleEntries(manifest);
+    if (stale.length > 0) {
+        console.error(`❌ ${outputName} ist veraltet – bitte neu erzeugen:\n  ${stale.join('\n  ')}`);
+        process.exit(1);
+    }
+    console.log(`✅ ${outputName} ist aktuell (${manifest.totalModules} Module)`);
+} else {
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`✅ ${outputName} geschrieben: ${manifest.totalModules} Module in ${Object.keys(manifest.categories).length} Kategorien`);
+}
@@ -1,20 +1,49 @@
 // sw.js - Service Worker für Metabolic Base
-const CACHE_NAME = 'metabolic-base-v2';
-const STATIC_CACHE = 'metabolic-base-static-v2';
-const DYNAMIC_CACHE = 'metabolic-base-dynamic-v2';
+// Version bei jeder Änderung an STATIC_FILES erhöhen, sonst behalten installierte Clients den alten Stand
+const CACHE_NAME = 'metabolic-base-v3';
+const STATIC_CACHE = 'metabolic-base-static-v3';
+const DYNAMIC_CACHE = 'metabolic-base-dynamic-v3';
 
 // Statische Dateien die immer gecacht werden
 const STATIC_FILES = [
     '/metabolic-base/',
     '/metabolic-base/index.html',
+    '/metabolic-base/js/storage.js',
+    '/metabolic-base/js/html-utils.js',
     '/metabolic-base/js/auto-discovery.js',
+    '/metabolic-base/js/html-extractor.js',
+    '/metabolic-base/js/german-analyzer.js',
+    '/metabolic-base/js/lab-values.js',
+    '/metabolic-base/js/content-analyzer.js',
+    '/metabolic-base/js/medical-thesaurus.js',
+    '/metabolic-base/js/index-worker.js',
+    '/metabolic-base/js/query-parser.js',
+    '/metabolic-base/js/spell-checker.js',
+    '/metabolic-base/js/completion-trie.js',
     '/metabolic-base/js/content-indexer.js',
+    '/metabolic-base/js/click-model.js',
     '/metabolic-base/js/smart-search.js',
+    '/metabolic-base/js/search-history-panel.js',
+    '/metabolic-base/js/table-browser.js',
+    '/metabolic-base/js/progress-tracker.js',
+    '/metabolic-base/js/progress-dashboard.js',
     '/metabolic-base/js/sync-manager.js',
-    '/metabolic-base/manifest.json'
+    '/metabolic-base/js/router.js',
+    '/metabolic-base/js/module-navigation.js',
+    '/metabolic-base/manifest.json',
+    '/metabolic-base/data/hyperammonaemie-dosierung.json',
+    '/metabolic-base/data/thesaurus.json'
 ];
 
-// Modul-Ordner für dynamisches Caching
+// Share-Target aus manifest.json; geteilte Dateien warten im Share-Cache, bis js/router.js sie abholt
+const SHARE_TARGET = '/metabolic-base/share-target/';
+const SHARE_CACHE = 'metabolic-base-share';
+const SHARED_FILE = '/metabolic-base/share-target/file';
+
+// Modul-Manifest (erzeugt von scripts/build-module-manifest.js)
+const MODULE_MANIFEST = '/metabolic-base/modules.json';
+
+// Modul-Ordner für dynamisches Caching, falls kein Manifest vorhanden ist
 const MODULE_FOLDERS = [
     '/metabolic-base/modules/01-notfaelle/',
     '/metabolic-base/modules/02-befundung/',
@@ -92,13 +121,20 @@ self.addEventListener('fetch', event => {
     // Nur HTTP(S) Requests behandeln
     if (!request.url.startsWith('http')) return;
     
+    // Inhalte aus dem Teilen-Dialog des Systems
+    if (request.method === 'POST' && url.pathname === SHARE_TARGET) {
+        event.respondWith(handleShareTarget(request));
+        return;
+    }
+    
     // Strategie basierend auf Request-Typ wählen
-    if (isStaticFile(url.pathname)) {
+    // API-Anfragen, Manifest und Daten (Dosierungstabellen) zuerst prüfen, sonst greift für *.json Cache First
+    if (isAPIRequest(url.pathname) || isDataFile(url.pathname)) {
+        event.respondWith(networkFirstStrategy(request));
+    } else if (isStaticFile(url.pathname)) {
         event.respondWith(cacheFirstStrategy(request));
     } else if (isModuleFile(url.pathname)) {
         event.respondWith(staleWhileRevalidateStrategy(request));
-    } else if (isAPIRequest(url.pathname)) {
-        event.respondWith(networkFirstStrategy(request));
     } else {
         event.respondWith(networkWithCacheFallbackStrategy(request));
     }
@@ -196,12 +232,15 @@ async function cacheFirstStrategy(request) {
 async function staleWhileRevalidateStrategy(request) {
     try {
         const cache = await caches.open(DYNAMIC_CACHE);
-        const cachedResponse = await cache.match(request);
+        // Parameter wie ?hl= wertet nur die Seite aus - ein Cache-Eintrag je Modul
+        const cacheKey = new URL(request.url);
+        cacheKey.search = '';
+        const cachedResponse = await cache.match(cacheKey.href);
         
         // Netzwerk-Request im Hintergrund starten
         const networkPromise = fetch(request).then(response => {
             if (response.ok) {
-                cache.put(request, response.clone());
+                cache.put(cacheKey.href, response.clone());
             }
             return response;
         }).catch(() => null);
@@ -238,9 +277,8 @@ async function networkFirstStrategy(request) {
         return networkResponse;
         
     } catch (error) {
-        // Fallback zu Cache
-        const cache = await caches.open(DYNAMIC_CACHE);
-        const cachedResponse = await cache.match(request);
+        // Fallback zu Cache (Daten aus STATIC_FILES liegen im statischen Cache)
+        const cachedResponse = await caches.match(request);
         
         if (cachedResponse) {
             return cachedResponse;
@@ -270,6 +308,40 @@ async function networkWithCacheFallbackStrategy(request) {
     }
 }
 
+/**
+ * Share-Target: geteilte Datei zwischenspeichern (?import=shared), Titel, Text und Link
+ * als ?action=share an die Startseite weitergeben
+ */
+async function handleShareTarget(request) {
+    const target = new URL('/metabolic-base/', self.location.origin);
+    
+    try {
+        const formData = await request.formData();
+        const file = formData.get('module');
+        
+        if (file && typeof file !== 'string' && file.size > 0) {
+            const cache = await caches.open(SHARE_CACHE);
+            await cache.put(SHARED_FILE, new Response(file, {
+                headers: {
+                    'Content-Type': file.type || 'application/octet-stream',
+                    'X-File-Name': encodeURIComponent(file.name)
+                }
+            }));
+            target.searchParams.set('import', 'shared');
+        } else {
+            target.searchParams.set('action', 'share');
+            ['title', 'text', 'url'].forEach(name => {
+                const value = formData.get(name);
+                if (value) target.searchParams.set(name, value);
+            });
+        }
+    } catch (error) {
+        console.warn('⚠️ Share-Target fehlgeschlagen:', error);
+    }
+    
+    return Response.redirect(target.href, 303);
+}
+
 /**
  * Hilfsfunktionen
  */
@@ -289,9 +361,16 @@ function isModuleFile(pathname) {
     return pathname.includes('/modules/') && pathname.endsWith('.html');
 }
 
+// Prüft ob Datei eine Datendatei ist (z. B. Dosierungen) - Korrekturen müssen sofort ankommen
+function isDataFile(pathname) {
+    return pathname.startsWith('/metabolic-base/data/') && pathname.endsWith('.json');
+}
+
 // Prüft ob Request eine API-Anfrage ist
 function isAPIRequest(pathname) {
-    return pathname.includes('/api/') || pathname.includes('modules-config.json');
+    return pathname.includes('/api/') ||
+           pathname.includes('modules-config.json') ||
+           pathname === MODULE_MANIFEST;
 }
 
 // Erstellt Error Response
@@ -355,7 +434,7 @@ async function fetchAndUpdateCache(request, cacheName) {
 // Entfernt alte Caches
 async function cleanupOldCaches() {
     const cacheNames = await caches.keys();
-    const validCaches = [STATIC_CACHE, DYNAMIC_CACHE];
+    const validCaches = [STATIC_CACHE, DYNAMIC_CACHE, SHARE_CACHE];
     
     const deletionPromises = cacheNames
         .filter(cacheName => !validCaches.includes(cacheName))
@@ -372,7 +451,13 @@ async function discoverAndCacheModules() {
     try {
         const cache = await caches.open(DYNAMIC_CACHE);
         
-        // Gehe durch alle Modul-Ordner
+        // Bevorzugt: alle Module aus dem Manifest cachen
+        if (await cacheModulesFromManifest(cache)) {
+            console.log('✅ Automatische Modul-Entdeckung abgeschlossen (Manifest)');
+            return;
+        }
+        
+        // Fallback: Gehe durch alle Modul-Ordner
         for (const folder of MODULE_FOLDERS) {
             await discoverModulesInFolder(folder, cache);
         }
@@ -384,6 +469,37 @@ async function discoverAndCacheModules() {
     }
 }
 
+// Cached alle im Manifest gelisteten Module, false falls kein Manifest vorhanden ist
+async function cacheModulesFromManifest(cache) {
+    try {
+        const response = await fetch(MODULE_MANIFEST, { cache: 'no-cache' });
+        if (!response.ok) return false;
+        
+        const manifest = await response.clone().json();
+        if (!Array.isArray(manifest.modules)) return false;
+        await cache.put(MODULE_MANIFEST, response);
+        
+        const siteRoot = MODULE_MANIFEST.replace(/modules\.json$/, '');
+        await Promise.all(manifest.modules.map(async entry => {
+            const moduleUrl = siteRoot + entry.path;
+            try {
+                const moduleResponse = await fetch(moduleUrl);
+                if (moduleResponse.ok) {
+                    await cache.put(moduleUrl, moduleResponse);
+                    console.log(`📄 Modul gecacht: ${moduleUrl}`);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Modul konnte nicht gecacht werden: ${moduleUrl}`, error);
+            }
+        }));
+        
+        return true;
+    } catch (error) {
+        console.warn('⚠️ Modul-Manifest nicht verfügbar, nutze Dateinamen-Suche:', error);
+        return false;
+    }
+}
+
 // Entdeckt Module in einem spezifischen Ordner
 async function discoverModulesInFolder(folderPath, cache) {
     const commonFiles = [
@@ -575,6 +691,7 @@ if (typeof module !== 'undefined' && module.exports) {
         STATIC_CACHE,
         DYNAMIC_CACHE,
         STATIC_FILES,
+        MODULE_MANIFEST,
         MODULE_FOLDERS
     };
 }
\ No newline at end of file